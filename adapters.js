@@ -0,0 +1,217 @@
+/**
+ * Data Source Adapters - How the viewer fetches and reads its data
+ *
+ * An adapter supplies:
+ * - `fetch(url, init)` returning a `Response`, used for every IIIF request
+ * - `normalizeCanvas(canvas)` returning the canvas the viewer should render
+ * - `normalizeAnnotation(annotation)` returning `{target, text, lineid}`
+ * - `authorizes(url)` telling whether requests for a URL carry the user's credentials
+ *
+ * `IIIFAdapter` reads plain IIIF Presentation 2/3 and W3C annotations.
+ * `TPENAdapter` adds T-PEN 3 authentication and line conventions.
+ * `BundleAdapter` serves resources from a local JSON bundle for offline use.
+ * Each accepts a `fetch` hook, e.g. to add credentials to requests.
+ */
+
+/**
+ * Plain IIIF data over the network
+ */
+export class IIIFAdapter {
+    name = "iiif"
+
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.fetch] - Fetch hook `(url, init) => Promise<Response>`
+     */
+    constructor({ fetch: fetcher = (url, init) => fetch(url, init) } = {}) {
+        this.fetcher = fetcher
+    }
+
+    /**
+     * Fetch a resource through the hook
+     * @param {string} url - Resource URL
+     * @param {RequestInit} [init] - Fetch options
+     * @returns {Promise<Response>} Fetch response
+     */
+    fetch(url, init) {
+        return this.fetcher(url, init)
+    }
+
+    /**
+     * Whether the adapter adds the user's credentials to requests for a
+     * URL. Their answers are private to the user and not kept across visits.
+     * @param {string} url - Resource URL
+     * @returns {boolean} False; credentials from a fetch hook are the hook's business
+     */
+    authorizes(url) {
+        return false
+    }
+
+    /**
+     * Canvas as the viewer should render it
+     * @param {Object} canvas - Canvas data
+     * @returns {Object} Canvas data
+     */
+    normalizeCanvas(canvas) {
+        return canvas
+    }
+
+    /**
+     * Reduce an annotation to the shape the viewer renders. Accepts W3C/v3
+     * annotations (`body`, `target`) and IIIF Presentation 2 annotations
+     * (`resource` with `chars`, `on` as `canvas#xywh=...` or `{full, selector}`).
+     * Tagging bodies become `tags`; motivations lose their `oa:`/`sc:` prefix.
+     * @param {Object} lineData - Annotation data
+     * @returns {Object} {target, text, lineid, motivation, tags, styleClass, stylesheet}
+     */
+    normalizeAnnotation(lineData) {
+        const bodies = [lineData?.body ?? lineData?.resource ?? []].flat()
+        const textOf = (body) => body?.value ?? body?.chars ?? body?.["cnt:chars"]
+        const isTag = (body) => [body?.purpose ?? body?.motivation ?? []].flat().some(purpose => /tagging$/.test(purpose))
+        const text = textOf(bodies.find(body => textOf(body) !== undefined && !isTag(body)))
+
+        const target = [lineData?.target ?? lineData?.on].flat()[0]
+
+        return {
+            target: target?.selector?.value ?? target,
+            text: text ?? "",
+            lineid: lineData?.id ?? lineData?.["@id"],
+            motivation: [lineData?.motivation ?? []].flat().map(motivation => String(motivation).replace(/^(oa|sc):/, "")),
+            tags: bodies.filter(isTag).map(textOf).filter(Boolean),
+            styleClass: target?.styleClass ?? lineData?.styleClass ?? null,
+            stylesheet: lineData?.stylesheet ?? null
+        }
+    }
+}
+
+/**
+ * T-PEN 3 projects. Requests to T-PEN hosts carry the user's bearer token
+ * when one is available, and line text is read from the transcription
+ * body rather than from comments or tags on the same line.
+ */
+export class TPENAdapter extends IIIFAdapter {
+    name = "tpen"
+
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.fetch] - Fetch hook `(url, init) => Promise<Response>`
+     * @param {Function} [options.getToken] - Returns the current T-PEN id token, or null
+     * @param {Array<string>} [options.hosts] - Host names that receive the token
+     */
+    constructor({ fetch, getToken = () => null, hosts = ["api.t-pen.org", "dev.api.t-pen.org"] } = {}) {
+        super({ fetch })
+        this.getToken = getToken
+        this.hosts = hosts
+    }
+
+    fetch(url, init = {}) {
+        if (!this.authorizes(url)) return super.fetch(url, init)
+
+        const headers = new Headers(init.headers)
+        headers.set("Authorization", `Bearer ${this.getToken()}`)
+        return super.fetch(url, { ...init, headers })
+    }
+
+    authorizes(url) {
+        return Boolean(this.getToken()) && this.hosts.includes(new URL(url).hostname)
+    }
+
+    normalizeAnnotation(lineData) {
+        const line = super.normalizeAnnotation(lineData)
+        const transcription = [lineData?.body ?? []].flat()
+            .find(body => body?.type === "TextualBody" && (!body.purpose || body.purpose === "transcribing"))
+
+        return { ...line, text: transcription?.value ?? line.text }
+    }
+}
+
+/**
+ * Resources from a local JSON bundle. A bundle is an array of IIIF
+ * resources, or an object with such an array in `resources`; every nested
+ * resource with an id is indexed too. Ids found in the bundle are answered
+ * locally, others go to the network unless the adapter is `offline`.
+ */
+export class BundleAdapter extends IIIFAdapter {
+    name = "bundle"
+    #resources = new Map()
+
+    /**
+     * @param {Array<Object>|Object} bundle - Bundle of IIIF resources
+     * @param {Object} [options]
+     * @param {Function} [options.fetch] - Fetch hook for ids outside the bundle
+     * @param {boolean} [options.offline] - Answer ids outside the bundle with 404 instead of fetching
+     */
+    constructor(bundle, { fetch, offline = false } = {}) {
+        super({ fetch })
+        this.offline = offline
+        this.add(bundle)
+    }
+
+    /**
+     * Index more resources
+     * @param {Array<Object>|Object} bundle - Bundle or single resource
+     */
+    add(bundle) {
+        const resources = Array.isArray(bundle) ? bundle : bundle?.resources ?? [bundle]
+        resources.forEach(resource => this.#index(resource))
+    }
+
+    /**
+     * Whether the bundle holds a resource
+     * @param {string} url - Resource id, with or without fragment
+     * @returns {boolean} True when the bundle can answer for the id
+     */
+    has(url) {
+        return this.#resources.has(String(url).split("#")[0])
+    }
+
+    fetch(url, init) {
+        const resource = this.#resources.get(String(url).split("#")[0])
+        if (resource) {
+            return Promise.resolve(new Response(JSON.stringify(resource), {
+                status: 200,
+                headers: { "Content-Type": "application/json" }
+            }))
+        }
+        if (this.offline) return Promise.resolve(new Response(null, { status: 404 }))
+        return super.fetch(url, init)
+    }
+
+    /**
+     * Index a resource and every nested object with an id and a type.
+     * When an id appears more than once the fullest copy wins, so a
+     * reference stub never hides the resource itself.
+     * @param {*} value - Resource or nested value
+     */
+    #index(value) {
+        if (Array.isArray(value)) {
+            value.forEach(item => this.#index(item))
+            return
+        }
+        if (!value || typeof value !== "object") return
+
+        const id = value.id ?? value["@id"]
+        const known = this.#resources.get(id)
+        if (typeof id === "string" && (value.type || value["@type"]) &&
+            (!known || Object.keys(known).length < Object.keys(value).length)) {
+            this.#resources.set(id, value)
+        }
+        Object.values(value).forEach(child => this.#index(child))
+    }
+}
+
+/**
+ * Create a built-in adapter by name
+ * @param {string} name - `iiif` or `tpen`
+ * @param {Object} [options] - Adapter options
+ * @returns {IIIFAdapter} Adapter instance
+ */
+export function createAdapter(name, options = {}) {
+    switch (name) {
+        case "tpen":
+            return new TPENAdapter(options)
+        case "iiif":
+        default:
+            return new IIIFAdapter(options)
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * Annotation Loader - Fetches the annotations listed on an AnnotationPage
+ * Runs requests through a bounded pool, reuses annotations that are already
+ * embedded in the page, revalidates cached copies by ETag or Last-Modified
+ * and reports the references that could not be loaded instead of failing
+ * the whole page.
+ */
+
+import { AuthRequiredError } from './iiif-auth.js'
+import { IDBStore } from './idb-store.js'
+import { revalidation, isUnchanged, joinRequest } from './resource-cache.js'
+
+export class AnnotationLoader {
+    #memory = new Map()
+    #inflight = new Map()
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.concurrency] - Maximum simultaneous annotation requests
+     * @param {number} [options.maxEntries] - Annotations kept in memory; the least recently used are dropped first
+     * @param {boolean} [options.persistent] - Keep revalidatable copies in IndexedDB across page loads
+     * @param {Function} [options.fetch] - Fetch implementation used for annotation requests
+     * @param {Function} [options.read] - Reads the JSON body of a response
+     * @param {Function} [options.persist] - `(url) => boolean`, false for annotations only kept in memory
+     */
+    constructor({
+        concurrency = 6,
+        maxEntries = 2000,
+        persistent = true,
+        fetch: fetcher = (url, init) => fetch(url, init),
+        read = (response) => response.json(),
+        persist = () => true
+    } = {}) {
+        this.concurrency = Math.max(1, concurrency)
+        this.maxEntries = Math.max(1, maxEntries)
+        this.persistent = persistent
+        this.fetcher = fetcher
+        this.read = read
+        this.persist = persist
+        this.store = persistent ? new IDBStore("page-viewer", "annotations", "id") : null
+    }
+
+    /**
+     * Load a list of annotation references, keeping their order. Every
+     * reference ends up either in `annotations` or in `failed`, except
+     * that a restricted annotation stops the whole list so the user can log in.
+     * Once `signal` is aborted no further references are requested.
+     * @param {Array<string|Object>} references - Annotation ids or (embedded or referenced) annotation objects
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Abandons the list
+     * @returns {Promise<Object>} {annotations, failed} where failed lists {id, index, message}
+     * @throws {AuthRequiredError} When an annotation needs a login
+     */
+    async loadAll(references = [], { signal } = {}) {
+        const results = new Array(references.length).fill(null)
+        const failed = []
+        let next = 0
+        let authRequired = null
+
+        const worker = async () => {
+            while (next < references.length && !signal?.aborted) {
+                const index = next++
+                try {
+                    const annotation = await this.load(references[index], { signal })
+                    // An empty answer is a failure too, so `annotations` stays in the order of the references that loaded
+                    if (!annotation || typeof annotation !== "object") throw new Error("Annotation has no content")
+                    results[index] = annotation
+                } catch (error) {
+                    if (signal?.aborted) return
+                    if (error instanceof AuthRequiredError) {
+                        authRequired ??= error
+                        next = references.length
+                        return
+                    }
+                    console.warn(`Failed to load annotation ${this.#idOf(references[index]) ?? index}:`, error)
+                    failed.push({ id: this.#idOf(references[index]), index, message: error.message })
+                }
+            }
+        }
+
+        const workers = Math.min(this.concurrency, references.length)
+        await Promise.all(Array.from({ length: workers }, worker))
+        signal?.throwIfAborted()
+        if (authRequired) throw authRequired
+
+        return {
+            annotations: results.filter(Boolean),
+            failed: failed.sort((a, b) => a.index - b.index)
+        }
+    }
+
+    /**
+     * Load one annotation. Embedded annotations are returned as they are;
+     * concurrent requests for the same id share one fetch, which is
+     * aborted only when every caller waiting on it has given up.
+     * @param {string|Object} reference - Annotation id or object
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops this caller waiting
+     * @returns {Promise<Object>} Annotation data
+     */
+    async load(reference, { signal } = {}) {
+        signal?.throwIfAborted()
+        if (this.isEmbedded(reference)) return reference
+
+        const id = this.#idOf(reference)
+        if (!id) throw new Error("Annotation reference has no id")
+
+        return joinRequest(this.#inflight, id, (shared) => this.#fetchAnnotation(id, shared), signal)
+    }
+
+    /**
+     * Whether a reference already carries the annotation content, so
+     * fetching its id would only download the same data again.
+     * @param {string|Object} reference - Annotation id or object
+     * @returns {boolean} True for a complete annotation (W3C body/target or v2 resource/on)
+     */
+    isEmbedded(reference) {
+        if (!reference || typeof reference !== "object") return false
+        return ("body" in reference && "target" in reference) || ("resource" in reference && "on" in reference)
+    }
+
+    /**
+     * Drop all cached annotations, in memory and in IndexedDB
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.#memory.clear()
+        await this.store?.clear()
+    }
+
+    #idOf(reference) {
+        if (typeof reference === "string") return reference
+        return reference?.id ?? reference?.["@id"] ?? null
+    }
+
+    /**
+     * Fetch an annotation, revalidating a cached copy as `revalidation`
+     * describes. Copies of annotations `persist` refuses stay in memory.
+     * @param {string} id - Annotation URL
+     * @param {AbortSignal} signal - Aborts the request
+     * @returns {Promise<Object>} Annotation data
+     */
+    async #fetchAnnotation(id, signal) {
+        const cached = this.#memory.get(id) ?? (this.persist(id) ? await this.store?.get(id) : null)
+        const response = await this.fetcher(id, { ...revalidation(id, cached), signal })
+
+        if (isUnchanged(response, cached)) {
+            this.#remember(cached)
+            return cached.data
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to fetch annotation: ${response.status}`)
+        }
+
+        const data = await this.read(response)
+        const entry = { id, etag: response.headers.get("ETag"), lastModified: response.headers.get("Last-Modified"), data }
+
+        // Without a validator a cached copy could never be trusted again
+        if (entry.etag || entry.lastModified) {
+            this.#remember(entry)
+            if (this.persist(id)) this.store?.put(entry)
+        }
+        return data
+    }
+
+    /**
+     * Put an entry at the recent end of the memory cache, dropping the
+     * least recently used beyond `maxEntries`
+     * @param {Object} entry - Cache entry
+     */
+    #remember(entry) {
+        this.#memory.delete(entry.id)
+        this.#memory.set(entry.id, entry)
+        while (this.#memory.size > this.maxEntries) {
+            this.#memory.delete(this.#memory.keys().next().value)
+        }
+    }
+}
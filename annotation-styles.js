@@ -0,0 +1,107 @@
+/**
+ * Annotation Styles - Colors for individual overlays from annotation data
+ * Reads the W3C `stylesheet` of an annotation and the `styleClass` on its
+ * target. Stylesheets come from untrusted data, so they are never added to
+ * the page: only the color, fill and opacity of the named class are kept
+ * and handed to the overlay as custom properties.
+ */
+
+/**
+ * CSS properties read from annotation stylesheets, and the overlay setting each one feeds
+ */
+const STYLE_PROPERTIES = {
+    "color": "color",
+    "border-color": "color",
+    "stroke": "color",
+    "background-color": "fill",
+    "fill": "fill",
+    "opacity": "opacity"
+}
+
+export class AnnotationStyles {
+    #sheets = new Map()
+
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.fetch] - Fetch implementation used for stylesheets given by URL
+     */
+    constructor({ fetch: fetcher = (url, init) => fetch(url, init) } = {}) {
+        this.fetcher = fetcher
+    }
+
+    /**
+     * Style an annotation asks for through its stylesheet and style class
+     * @param {Object} anno - Normalized annotation {styleClass, stylesheet}
+     * @returns {Promise<Object|null>} {color, fill, opacity}, or null when nothing applies
+     */
+    async resolve(anno) {
+        const classes = String(anno?.styleClass ?? "").split(/\s+/).filter(Boolean)
+        if (!classes.length || !anno.stylesheet) return null
+
+        const rules = await this.#load(anno.stylesheet)
+        const style = Object.assign({}, ...classes.map(name => rules.get(name) ?? {}))
+        return Object.keys(style).length ? style : null
+    }
+
+    /**
+     * Read the single-class rules of a stylesheet
+     * @param {string} cssText - Stylesheet text
+     * @returns {Map<string, Object>} Class name mapped to {color, fill, opacity}
+     */
+    parse(cssText) {
+        const rules = new Map()
+        const sheet = new CSSStyleSheet()
+        try {
+            // replaceSync ignores @import, so nothing further is loaded
+            sheet.replaceSync(String(cssText ?? ""))
+        } catch (error) {
+            console.warn("Ignoring unreadable annotation stylesheet:", error)
+            return rules
+        }
+
+        for (const rule of sheet.cssRules) {
+            const match = rule.selectorText?.match(/^\.(-?[_a-zA-Z][_a-zA-Z0-9-]*)$/)
+            if (!match) continue
+
+            const style = rules.get(match[1]) ?? {}
+            Object.entries(STYLE_PROPERTIES).forEach(([property, setting]) => {
+                const value = this.sanitize(setting, rule.style.getPropertyValue(property))
+                if (value !== null) style[setting] = value
+            })
+            rules.set(match[1], style)
+        }
+        return rules
+    }
+
+    /**
+     * Check a style value before it reaches an overlay
+     * @param {string} setting - `color`, `fill` or `opacity`
+     * @param {*} value - Candidate value
+     * @returns {string|null} The value, or null when it is not a plain color or opacity
+     */
+    sanitize(setting, value) {
+        const text = String(value ?? "").trim()
+        if (!text || /url\(|var\(|expression/i.test(text)) return null
+        const property = setting === "opacity" ? "opacity" : "color"
+        return CSS.supports(property, text) ? text : null
+    }
+
+    /**
+     * Parse an embedded stylesheet, or fetch one given by URL; each is read once
+     * @param {string|Object} stylesheet - Stylesheet URL or CssStylesheet resource
+     * @returns {Promise<Map<string, Object>>} Rules by class name
+     */
+    #load(stylesheet) {
+        const url = typeof stylesheet === "string" ? stylesheet : stylesheet.value ? null : stylesheet.id ?? stylesheet["@id"]
+        const key = url ?? stylesheet.value
+        if (!key) return Promise.resolve(new Map())
+
+        if (!this.#sheets.has(key)) {
+            const text = url
+                ? this.fetcher(url).then(response => response.ok ? response.text() : "").catch(() => "")
+                : Promise.resolve(stylesheet.value)
+            this.#sheets.set(key, text.then(css => this.parse(css)))
+        }
+        return this.#sheets.get(key)
+    }
+}
@@ -0,0 +1,331 @@
+/**
+ * Deep Zoom - Pan/zoom controller for the canvas stage
+ * Scales the stage holding the image and overlays with a CSS transform, so
+ * overlay boxes keep their percentage positions at every zoom level, and
+ * requests only the IIIF Image API tiles that are visible at the current
+ * resolution.
+ */
+export class DeepZoom {
+    #frame = null
+    #drag = null
+    #suppressClick = false
+    #listeners = []
+
+    /**
+     * @param {HTMLElement} viewport - Clipping element around the stage
+     * @param {HTMLElement} stage - Element holding the image and overlays
+     * @param {IIIFDataService} dataService - Used to build tile URLs
+     */
+    constructor(viewport, stage, dataService) {
+        this.viewport = viewport
+        this.stage = stage
+        // Upright view of the canvas, rotated and mirrored as a whole, and
+        // the whole-canvas surface inside it that a cropped region offsets
+        this.plane = stage.querySelector('.canvasPlane') ?? stage
+        this.surface = stage.querySelector('.canvasSurface') ?? this.plane
+        this.dataService = dataService
+        this.adjustments = null
+        this.imageService = null
+        this.tileInfo = null
+        this.tileLayer = null
+        this.currentLevel = null
+        this.scale = 1
+        this.offsetX = 0
+        this.offsetY = 0
+        this.enabled = false
+    }
+
+    /**
+     * Use an Image API service as the tile source
+     * @param {Object|null} imageService - IIIF Image API info.json data
+     */
+    setImageService(imageService) {
+        this.imageService = imageService ?? null
+        this.tileInfo = this.dataService.getTileInfo(this.imageService)
+        this.currentLevel = null
+        this.tileLayer?.replaceChildren()
+        if (this.enabled) {
+            this.#createTileLayer()
+            this.#apply()
+        }
+    }
+
+    /**
+     * Follow the image orientation and quality, see `ImageAdjustments`
+     * @param {ImageAdjustments|null} adjustments - Current image settings
+     */
+    setAdjustments(adjustments) {
+        if (adjustments?.quality !== this.adjustments?.quality) {
+            this.currentLevel = null
+            this.tileLayer?.replaceChildren()
+        }
+        this.adjustments = adjustments
+        this.#apply()
+    }
+
+    /**
+     * Turn on wheel/drag pan and zoom
+     */
+    enable() {
+        if (this.enabled) return
+        this.enabled = true
+        this.viewport.classList.add('zoomEnabled')
+
+        this.#createTileLayer()
+
+        this.#listen(this.viewport, 'wheel', (e) => this.#onWheel(e), { passive: false })
+        this.#listen(this.viewport, 'pointerdown', (e) => this.#onPointerDown(e))
+        this.#listen(this.viewport, 'pointermove', (e) => this.#onPointerMove(e))
+        this.#listen(this.viewport, 'pointerup', (e) => this.#onPointerUp(e))
+        this.#listen(this.viewport, 'pointercancel', (e) => this.#onPointerUp(e))
+        this.#listen(this.viewport, 'click', (e) => this.#onClickCapture(e), { capture: true })
+        this.#listen(window, 'resize', () => this.#apply())
+
+        // The viewport stops scrolling while zoom is on; carry its scroll over as the pan
+        this.offsetX = -this.viewport.scrollLeft
+        this.offsetY = -this.viewport.scrollTop
+        this.viewport.scrollTo(0, 0)
+        this.#apply()
+    }
+
+    /**
+     * Add the layer tiles are drawn into, just above the base image
+     */
+    #createTileLayer() {
+        if (!this.tileInfo || this.tileLayer) return
+        this.tileLayer = document.createElement('div')
+        this.tileLayer.className = 'deepZoomTiles'
+        this.tileLayer.setAttribute('aria-hidden', 'true')
+        const image = this.surface.querySelector('#canvasImage')
+        image ? image.after(this.tileLayer) : this.surface.prepend(this.tileLayer)
+    }
+
+    /**
+     * Turn off pan and zoom and return to the fitted view
+     */
+    disable() {
+        if (!this.enabled) return
+        this.reset()
+        this.enabled = false
+        this.viewport.classList.remove('zoomEnabled')
+        this.#listeners.forEach(([target, type, handler, options]) => target.removeEventListener(type, handler, options))
+        this.#listeners = []
+    }
+
+    /**
+     * Zoom by a factor around a point in viewport coordinates
+     * @param {number} factor - Multiplier applied to the current scale
+     * @param {number} [originX] - Horizontal zoom origin, defaults to viewport center
+     * @param {number} [originY] - Vertical zoom origin, defaults to viewport center
+     */
+    zoomBy(factor, originX = this.viewport.clientWidth / 2, originY = this.viewport.clientHeight / 2) {
+        const scale = Math.min(this.#maxScale(), Math.max(1, this.scale * factor))
+        const ratio = scale / this.scale
+        this.offsetX = originX - (originX - this.offsetX) * ratio
+        this.offsetY = originY - (originY - this.offsetY) * ratio
+        this.scale = scale
+        this.#apply()
+    }
+
+    /**
+     * Return to the fitted, unzoomed view
+     */
+    reset() {
+        this.scale = 1
+        this.offsetX = 0
+        this.offsetY = 0
+        this.#apply()
+    }
+
+    /**
+     * Pan so that an element inside the stage is centered in the viewport
+     * @param {HTMLElement} element - Element positioned within the stage
+     */
+    centerOn(element) {
+        if (!this.enabled || !element) return
+        // Measured on screen so a rotated or mirrored plane is accounted for
+        const stageRect = this.stage.getBoundingClientRect()
+        const rect = element.getBoundingClientRect()
+        const x = (rect.left + rect.width / 2 - stageRect.left) / this.scale
+        const y = (rect.top + rect.height / 2 - stageRect.top) / this.scale
+        this.offsetX = this.viewport.clientWidth / 2 - x * this.scale
+        this.offsetY = this.viewport.clientHeight / 2 - y * this.scale
+        this.#apply()
+    }
+
+    /**
+     * Highest useful zoom: twice the native resolution of the image service,
+     * or a fixed 4x when the image size is unknown.
+     * @returns {number} Maximum scale
+     */
+    #maxScale() {
+        const surfaceWidth = this.surface.offsetWidth
+        if (!this.imageService?.width || !surfaceWidth) return 4
+        return Math.max(1, (this.imageService.width / surfaceWidth) * 2)
+    }
+
+    /**
+     * Convert a point on the plane to a point on the canvas surface, which
+     * is larger than the plane while a region is cropped. Both are fractions.
+     * @param {Array<number>} point - Horizontal and vertical position on the plane
+     * @returns {Array<number>} Horizontal and vertical position on the surface
+     */
+    #toSurface([x, y]) {
+        if (this.surface === this.plane) return [x, y]
+        return [
+            (x * this.plane.offsetWidth - this.surface.offsetLeft) / this.surface.offsetWidth,
+            (y * this.plane.offsetHeight - this.surface.offsetTop) / this.surface.offsetHeight
+        ]
+    }
+
+    #listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options)
+        this.#listeners.push([target, type, handler, options])
+    }
+
+    #onWheel(event) {
+        event.preventDefault()
+        const rect = this.viewport.getBoundingClientRect()
+        this.zoomBy(Math.exp(-event.deltaY * 0.002), event.clientX - rect.left, event.clientY - rect.top)
+    }
+
+    #onPointerDown(event) {
+        if (event.button !== 0) return
+        this.#drag = { id: event.pointerId, x: event.clientX, y: event.clientY, moved: false }
+    }
+
+    #onPointerMove(event) {
+        if (!this.#drag || this.#drag.id !== event.pointerId) return
+        const dx = event.clientX - this.#drag.x
+        const dy = event.clientY - this.#drag.y
+
+        // Small movements are left alone so clicks still reach the overlays
+        if (!this.#drag.moved && Math.hypot(dx, dy) < 4) return
+        if (!this.#drag.moved) {
+            this.#drag.moved = true
+            this.viewport.setPointerCapture(event.pointerId)
+            this.viewport.classList.add('panning')
+        }
+
+        this.offsetX += dx
+        this.offsetY += dy
+        this.#drag.x = event.clientX
+        this.#drag.y = event.clientY
+        this.#apply()
+    }
+
+    #onPointerUp(event) {
+        if (!this.#drag || this.#drag.id !== event.pointerId) return
+        this.#suppressClick = this.#drag.moved
+        this.#drag = null
+        this.viewport.classList.remove('panning')
+    }
+
+    #onClickCapture(event) {
+        if (!this.#suppressClick) return
+        this.#suppressClick = false
+        event.stopPropagation()
+        event.preventDefault()
+    }
+
+    /**
+     * Keep the stage covering the viewport, write the transform and
+     * schedule a tile update for the next frame.
+     */
+    #apply() {
+        const minX = this.viewport.clientWidth - this.stage.offsetWidth * this.scale
+        const minY = this.viewport.clientHeight - this.stage.offsetHeight * this.scale
+        this.offsetX = Math.min(0, Math.max(minX, this.offsetX))
+        this.offsetY = Math.min(0, Math.max(minY, this.offsetY))
+
+        // A page larger than the viewport can be panned without zooming
+        this.stage.style.transform = this.scale === 1 && !this.offsetX && !this.offsetY
+            ? ''
+            : `translate(${this.offsetX}px, ${this.offsetY}px) scale(${this.scale})`
+        this.stage.style.setProperty('--zoom', this.scale)
+
+        if (this.#frame) cancelAnimationFrame(this.#frame)
+        this.#frame = requestAnimationFrame(() => {
+            this.#frame = null
+            this.#updateTiles()
+        })
+    }
+
+    /**
+     * Request the tiles covering the visible part of the stage at the
+     * coarsest scale factor that still matches the screen resolution.
+     */
+    #updateTiles() {
+        if (!this.tileLayer || !this.tileInfo) return
+
+        if (this.scale === 1) {
+            this.tileLayer.replaceChildren()
+            this.currentLevel = null
+            return
+        }
+
+        const { width: imageWidth, height: imageHeight } = this.imageService
+        const stageWidth = this.stage.offsetWidth
+        const stageHeight = this.stage.offsetHeight
+        if (!stageWidth || !stageHeight) return
+
+        // Device pixels drawn per full-resolution image pixel
+        const density = (this.surface.offsetWidth * this.scale * (window.devicePixelRatio || 1)) / imageWidth
+        const { scaleFactors } = this.tileInfo
+        const level = [...scaleFactors].reverse().find(sf => sf <= 1 / density) ?? scaleFactors[0]
+
+        if (level !== this.currentLevel) {
+            this.tileLayer.replaceChildren()
+            this.currentLevel = level
+        }
+
+        // Visible part of the stage as fractions, mapped onto the whole upright image
+        const startU = (-this.offsetX / this.scale) / stageWidth
+        const startV = (-this.offsetY / this.scale) / stageHeight
+        const endU = startU + (this.viewport.clientWidth / this.scale) / stageWidth
+        const endV = startV + (this.viewport.clientHeight / this.scale) / stageHeight
+        const [[x1, y1], [x2, y2]] = [[startU, startV], [endU, endV]]
+            .map(([u, v]) => this.#toSurface(this.adjustments?.toImagePoint(u, v) ?? [u, v]))
+        const left = Math.min(x1, x2) * imageWidth
+        const top = Math.min(y1, y2) * imageHeight
+        const right = Math.max(x1, x2) * imageWidth
+        const bottom = Math.max(y1, y2) * imageHeight
+
+        const tileWidth = this.tileInfo.width * level
+        const tileHeight = this.tileInfo.height * level
+        const lastCol = Math.ceil(imageWidth / tileWidth) - 1
+        const lastRow = Math.ceil(imageHeight / tileHeight) - 1
+        const firstCol = Math.max(0, Math.floor(left / tileWidth))
+        const firstRow = Math.max(0, Math.floor(top / tileHeight))
+        const endCol = Math.min(lastCol, Math.floor(right / tileWidth))
+        const endRow = Math.min(lastRow, Math.floor(bottom / tileHeight))
+
+        const present = new Set([...this.tileLayer.children].map(tile => tile.dataset.tile))
+
+        for (let row = firstRow; row <= endRow; row++) {
+            for (let col = firstCol; col <= endCol; col++) {
+                const key = `${col},${row}`
+                if (present.has(key)) continue
+
+                const region = {
+                    x: col * tileWidth,
+                    y: row * tileHeight,
+                    w: Math.min(tileWidth, imageWidth - col * tileWidth),
+                    h: Math.min(tileHeight, imageHeight - row * tileHeight)
+                }
+
+                const tile = document.createElement('img')
+                tile.className = 'deepZoomTile'
+                tile.dataset.tile = key
+                tile.alt = ''
+                tile.draggable = false
+                tile.style.left = `${(region.x / imageWidth) * 100}%`
+                tile.style.top = `${(region.y / imageHeight) * 100}%`
+                tile.style.width = `${(region.w / imageWidth) * 100}%`
+                tile.style.height = `${(region.h / imageHeight) * 100}%`
+                tile.src = this.dataService.constructIIIFTileUrl(this.imageService, region, level, this.adjustments?.quality)
+                this.tileLayer.appendChild(tile)
+            }
+        }
+    }
+}
@@ -0,0 +1,100 @@
+/**
+ * IndexedDB Store - One object store of records kept across page loads
+ * Storage failures (private browsing, blocked upgrades, a full disk) are
+ * not errors here: reads find nothing and writes are dropped, so the
+ * caches built on it keep working from memory.
+ */
+
+export class IDBStore {
+    #database = null
+
+    /**
+     * @param {string} name - Database name
+     * @param {string} store - Object store name
+     * @param {string} keyPath - Property that keys the records
+     * @param {number} [version] - Database version
+     */
+    constructor(name, store, keyPath, version = 1) {
+        this.name = name
+        this.store = store
+        this.keyPath = keyPath
+        this.version = version
+    }
+
+    /**
+     * Read a record
+     * @param {string} key - Record key
+     * @returns {Promise<Object|null>} The record, or null when absent or unreadable
+     */
+    async get(key) {
+        const db = await this.#open()
+        if (!db) return null
+
+        return new Promise(resolve => {
+            try {
+                const request = db.transaction(this.store).objectStore(this.store).get(key)
+                request.onsuccess = () => resolve(request.result ?? null)
+                request.onerror = () => resolve(null)
+            } catch (e) {
+                resolve(null)
+            }
+        })
+    }
+
+    /**
+     * Write a record, replacing the one with the same key
+     * @param {Object} record - Record carrying its key
+     * @returns {Promise<void>}
+     */
+    async put(record) {
+        const db = await this.#open()
+        if (!db) return
+
+        try {
+            db.transaction(this.store, "readwrite").objectStore(this.store).put(record)
+        } catch (e) {
+            console.warn(`Could not store in ${this.name}:`, e)
+        }
+    }
+
+    /**
+     * Remove every record
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        const db = await this.#open()
+        if (!db) return
+
+        await new Promise(resolve => {
+            try {
+                const transaction = db.transaction(this.store, "readwrite")
+                transaction.objectStore(this.store).clear()
+                transaction.oncomplete = transaction.onerror = () => resolve()
+            } catch (e) {
+                resolve()
+            }
+        })
+    }
+
+    /**
+     * @returns {Promise<IDBDatabase|null>} Database or null when unavailable
+     */
+    #open() {
+        if (typeof indexedDB === "undefined") return Promise.resolve(null)
+
+        this.#database ??= new Promise(resolve => {
+            try {
+                const request = indexedDB.open(this.name, this.version)
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.store, { keyPath: this.keyPath })
+                }
+                request.onsuccess = () => resolve(request.result)
+                request.onerror = () => resolve(null)
+                request.onblocked = () => resolve(null)
+            } catch (e) {
+                resolve(null)
+            }
+        })
+        return this.#database
+    }
+}
@@ -0,0 +1,292 @@
+/**
+ * IIIF Authorization - Access to restricted images and annotations
+ * Reads IIIF Auth API 1.0 and 2.0 service descriptions, asks the token
+ * service for an access token through a hidden iframe (which also works
+ * while the viewer is itself framed) and opens the login page in its own
+ * window, since login pages usually refuse to be framed.
+ */
+
+const AUTH1_PROFILE = "http://iiif.io/api/auth/1/"
+
+/**
+ * Access service profiles that need the user to do something in the login window
+ */
+const INTERACTIVE_PROFILES = ["active", "login", "clickthrough"]
+
+/**
+ * Raised when a resource stays restricted after a silent token request,
+ * so the user has to log in before it can be shown.
+ */
+export class AuthRequiredError extends Error {
+    /**
+     * @param {string} resourceId - URL of the restricted resource
+     * @param {Object} service - Access service, see `IIIFAuth.findAccessServices`
+     */
+    constructor(resourceId, service) {
+        super(service?.heading ?? service?.label ?? "Login required")
+        this.name = "AuthRequiredError"
+        this.resourceId = resourceId
+        this.service = service
+    }
+}
+
+export class IIIFAuth {
+    #tokens = new Map()
+    #restricted = new Map()
+    #pending = new Map()
+    #messageCount = 0
+
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.fetch] - Fetch implementation used for probe requests
+     * @param {number} [options.timeout] - How long to wait for a token service, in milliseconds
+     */
+    constructor({ fetch: fetcher = (url, init) => fetch(url, init), timeout = 10000 } = {}) {
+        this.fetcher = fetcher
+        this.timeout = timeout
+    }
+
+    /**
+     * Find the access services a resource declares: Auth 2.0 access services
+     * nested in a probe service, and Auth 1.0 login, clickthrough, kiosk and
+     * external services. Services without a token service are left out.
+     * @param {Object} resource - info.json, annotation resource or the body of a 401 answer
+     * @returns {Array<Object>} Access services {id, version, profile, label, heading, note, confirmLabel, tokenService, probeService}
+     */
+    findAccessServices(resource) {
+        const services = [resource?.service ?? resource?.services ?? []].flat()
+
+        return services.flatMap(service => {
+            const type = service?.type ?? service?.["@type"]
+            const profile = String(service?.profile ?? "")
+
+            if (type === "AuthProbeService2") {
+                return [service.service ?? []].flat()
+                    .filter(access => (access?.type ?? access?.["@type"]) === "AuthAccessService2")
+                    .map(access => this.#describe(access, 2, service.id ?? service["@id"]))
+            }
+            if (profile.startsWith(AUTH1_PROFILE) && !/\/(token|logout)$/.test(profile)) {
+                return [this.#describe(service, 1, null)]
+            }
+            return []
+        }).filter(service => service.tokenService)
+    }
+
+    /**
+     * Whether the user has to act in the login window for this service
+     * @param {Object} service - Access service
+     * @returns {boolean} True for Auth 2.0 `active` and Auth 1.0 `login`/`clickthrough` services
+     */
+    isInteractive(service) {
+        return INTERACTIVE_PROFILES.includes(service?.profile)
+    }
+
+    /**
+     * Remember that a resource is guarded by an access service, so later
+     * requests for it carry the service's token.
+     * @param {string} resourceId - Resource URL
+     * @param {Object} service - Access service
+     */
+    restrict(resourceId, service) {
+        this.#restricted.set(resourceId, service)
+    }
+
+    /**
+     * Whether a resource is known to be guarded by an access service
+     * @param {string} resourceId - Resource URL
+     * @returns {boolean} True once a request for it was refused
+     */
+    isRestricted(resourceId) {
+        return this.#restricted.has(resourceId)
+    }
+
+    /**
+     * The access service a resource is known to be guarded by
+     * @param {string} resourceId - Resource URL
+     * @returns {Object|null} Access service, or null when none is known
+     */
+    serviceFor(resourceId) {
+        return this.#restricted.get(resourceId) ?? null
+    }
+
+    /**
+     * Add credentials to a request for a restricted resource once a token
+     * is held for its access service. Other requests are left alone.
+     * @param {string} url - Resource URL
+     * @param {RequestInit} [init] - Fetch options
+     * @returns {RequestInit|undefined} Fetch options
+     */
+    authorize(url, init) {
+        const token = this.#tokenFor(this.#restricted.get(url))
+        if (!token) return init
+
+        const headers = new Headers(init?.headers)
+        headers.set("Authorization", `Bearer ${token}`)
+        return { ...init, headers, credentials: "include" }
+    }
+
+    /**
+     * Ask an Auth 2.0 probe service whether the user may see the resource
+     * @param {Object} service - Access service with a `probeService`
+     * @returns {Promise<boolean>} True when the probe answers with status 200
+     */
+    async probe(service) {
+        const token = this.#tokenFor(service)
+        const headers = token ? { Authorization: `Bearer ${token}` } : undefined
+
+        try {
+            const response = await this.fetcher(service.probeService, { headers })
+            if (!response.ok) return false
+            const result = await response.json()
+            return Number(result?.status) === 200
+        } catch (error) {
+            console.warn(`Probe ${service.probeService} failed:`, error)
+            return false
+        }
+    }
+
+    /**
+     * Request an access token from the token service in a hidden iframe.
+     * This succeeds without any user interaction when the user already has
+     * a session with the content provider.
+     * @param {Object} service - Access service
+     * @returns {Promise<string|null>} Access token, or null when none was granted
+     */
+    requestToken(service) {
+        const messageId = `page-viewer-auth-${++this.#messageCount}`
+        const tokenUrl = new URL(service.tokenService)
+        tokenUrl.searchParams.set("messageId", messageId)
+        tokenUrl.searchParams.set("origin", window.location.origin)
+
+        return new Promise(resolve => {
+            const frame = document.createElement("iframe")
+            frame.hidden = true
+            frame.title = "IIIF access token"
+
+            const finish = (reply) => {
+                clearTimeout(timer)
+                this.#pending.delete(messageId)
+                window.removeEventListener("message", onMessage)
+                frame.remove()
+
+                if (!reply?.accessToken) {
+                    resolve(null)
+                    return
+                }
+                this.#tokens.set(service.tokenService, {
+                    accessToken: reply.accessToken,
+                    expires: Date.now() + (Number(reply.expiresIn) || 3600) * 1000
+                })
+                resolve(reply.accessToken)
+            }
+            const onMessage = (event) => {
+                if (event.origin !== tokenUrl.origin || String(event.data?.messageId) !== messageId) return
+                finish(event.data)
+            }
+            const timer = setTimeout(() => finish(null), this.timeout)
+
+            this.#pending.set(messageId, tokenUrl.origin)
+            window.addEventListener("message", onMessage)
+            frame.src = tokenUrl.href
+            document.body.append(frame)
+        })
+    }
+
+    /**
+     * Whether a message answers a token request this viewer is waiting for
+     * @param {MessageEvent} event - Incoming message
+     * @returns {boolean} True for a reply from the token service that was asked
+     */
+    isTokenReply(event) {
+        const messageId = event.data?.messageId
+        return messageId !== undefined && this.#pending.get(String(messageId)) === event.origin
+    }
+
+    /**
+     * Let the user log in, then request a token. The login window is opened
+     * before anything is awaited, so call this straight from a click handler
+     * or the browser will block the window.
+     * @param {Object} service - Access service
+     * @returns {Promise<string|null>} Access token, or null when none was granted
+     */
+    async login(service) {
+        if (service.profile !== "external" && service.id) {
+            const loginUrl = new URL(service.id)
+            loginUrl.searchParams.set("origin", window.location.origin)
+
+            const loginWindow = window.open(loginUrl.href, "_blank")
+            if (!loginWindow) {
+                throw new Error("The login window was blocked")
+            }
+            await this.#whenClosed(loginWindow)
+        }
+        return this.requestToken(service)
+    }
+
+    /**
+     * Forget all tokens, e.g. when the user logs out of the host application
+     */
+    clear() {
+        this.#tokens.clear()
+    }
+
+    #tokenFor(service) {
+        const token = service && this.#tokens.get(service.tokenService)
+        if (!token) return null
+        if (token.expires <= Date.now()) {
+            this.#tokens.delete(service.tokenService)
+            return null
+        }
+        return token.accessToken
+    }
+
+    #whenClosed(loginWindow) {
+        return new Promise(resolve => {
+            const poll = setInterval(() => {
+                if (!loginWindow.closed) return
+                clearInterval(poll)
+                resolve()
+            }, 500)
+        })
+    }
+
+    /**
+     * Reduce an access service to what the viewer needs. Auth 1.0 uses
+     * `header`/`description` where Auth 2.0 uses `heading`/`note`.
+     * @param {Object} service - Access service description
+     * @param {number} version - Auth API major version
+     * @param {string|null} probeService - Auth 2.0 probe service id
+     * @returns {Object} Access service
+     */
+    #describe(service, version, probeService) {
+        const tokenService = [service.service ?? []].flat().find(child => {
+            const type = child?.type ?? child?.["@type"]
+            return type === "AuthAccessTokenService2" || String(child?.profile ?? "").endsWith("/token")
+        })
+
+        return {
+            id: service.id ?? service["@id"] ?? null,
+            version,
+            profile: String(service.profile ?? "").replace(AUTH1_PROFILE, ""),
+            label: this.#text(service.label),
+            heading: this.#text(service.heading ?? service.header),
+            note: this.#text(service.note ?? service.description),
+            confirmLabel: this.#text(service.confirmLabel),
+            tokenService: tokenService?.id ?? tokenService?.["@id"] ?? null,
+            probeService
+        }
+    }
+
+    /**
+     * Plain text of a string, v2 `@value` or v3 language map
+     * @param {*} value - Text value
+     * @returns {string|null} Text
+     */
+    #text(value) {
+        if (value === undefined || value === null) return null
+        if (typeof value === "string") return value
+        if (Array.isArray(value)) return this.#text(value[0])
+        if (value["@value"]) return value["@value"]
+        return [Object.values(value)[0] ?? []].flat()[0] ?? null
+    }
+}
@@ -1,3 +1,28 @@
+import { AnnotationLoader } from './annotation-loader.js'
+import { ResourceCache } from './resource-cache.js'
+import { IIIFAdapter } from './adapters.js'
+import { AuthRequiredError, IIIFAuth } from './iiif-auth.js'
+
+/**
+ * URL schemes the viewer will fetch IIIF resources from by default
+ */
+const ALLOWED_URL_SCHEMES = ["https:", "http:"]
+
+/**
+ * Transparent stand-in for canvases whose images only cover parts of them
+ */
+const BLANK_IMAGE = "data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7"
+
+/**
+ * An Image API request, `{base}/{region}/{size}/{rotation}/{quality}.{format}`, capturing the base
+ */
+const IMAGE_REQUEST = /^(.+?)\/(?:full|square|(?:pct:)?[\d.]+,[\d.]+,[\d.]+,[\d.]+)\/\^?(?:max|full|!?[\d.]*,[\d.]*|pct:[\d.]+)\/!?[\d.]+\/\w+\.\w+(?:[?#].*)?$/
+
+/**
+ * File extensions of images that are fetched as they are
+ */
+const IMAGE_FILE = /\.(jpe?g|png|gif|webp|avif|tiff?|jp2|bmp|svg)$/i
+
 /**
  * IIIF Data Service - Handles all IIIF-related data fetching and parsing
  * Supports IIIF Presentation API v2/v3 and IIIF Image API v2/v3
@@ -6,21 +31,327 @@
  * @author Patrick Cuba @cubap
  */
 export class IIIFDataService {
+    #bodies = new WeakMap()
+
+    /**
+     * @param {Object} [options]
+     * @param {Array<string>} [options.allowedSchemes] - URL schemes (with trailing colon) that may be fetched
+     * @param {IIIFAdapter} [options.adapter] - Data source adapter, plain IIIF by default
+     * @param {Function} [options.fetch] - Fetch hook for the default adapter, e.g. to add credentials
+     * @param {Object} [options.cache] - `ResourceCache` options, e.g. `{maxEntries: 20, persistent: false}`;
+     *   `persistent` applies to cached annotations too
+     */
+    constructor({ allowedSchemes = ALLOWED_URL_SCHEMES, adapter = null, fetch: fetcher, cache = {} } = {}) {
+        this.allowedSchemes = allowedSchemes
+        this.adapter = adapter ?? new IIIFAdapter({ fetch: fetcher })
+        const persist = (url) => !this.sendsCredentials(url)
+        this.cache = new ResourceCache({ ...cache, read: (response) => this.readJSON(response), persist })
+        this.annotationLoader = new AnnotationLoader({
+            persistent: cache.persistent ?? true,
+            fetch: (url, init) => this.fetchWithAuth(url, init),
+            read: (response) => this.readJSON(response),
+            persist
+        })
+        this.auth = new IIIFAuth({
+            fetch: (url, init) => this.fetchResource(url, init)
+        })
+    }
+
+    /**
+     * Check whether a URL uses a scheme the viewer is allowed to fetch
+     * @param {string} url - URL to check
+     * @returns {boolean} True for a well-formed URL with an allowed scheme
+     */
+    isAllowedUrl(url) {
+        try {
+            return this.allowedSchemes.includes(new URL(url).protocol)
+        } catch (e) {
+            return false
+        }
+    }
+
+    /**
+     * Fetch a resource after checking its URL against the scheme allowlist.
+     * Every request for IIIF data goes through here to the adapter.
+     * Requests for resources known to be restricted carry the access token.
+     * @param {string} url - Resource URL
+     * @param {RequestInit} [init] - Fetch options
+     * @returns {Promise<Response>} Fetch response
+     */
+    async fetchResource(url, init) {
+        if (!this.isAllowedUrl(url)) {
+            throw new Error("Refusing to fetch a URL with a disallowed scheme")
+        }
+        return this.adapter.fetch(url, this.auth.authorize(url, init))
+    }
+
+    /**
+     * Whether requests for a URL carry the user's credentials, an IIIF Auth
+     * token or the adapter's own. Such answers are only cached in memory.
+     * @param {string} url - Resource URL
+     * @returns {boolean} True for restricted resources and those the adapter authorizes
+     */
+    sendsCredentials(url) {
+        if (!this.isAllowedUrl(url)) return false
+        return this.auth.isRestricted(url) || Boolean(this.adapter.authorizes?.(url))
+    }
+
+    /**
+     * Fetch a resource that may be behind IIIF Auth. When the answer names
+     * an access service (a 401/403 body for Auth 1.0, or a probe service
+     * that refuses for Auth 2.0) a token is requested without user
+     * interaction and the request is retried once. A refusal without a
+     * body, such as the answer to `HEAD`, is matched to the service already
+     * known to guard the URL.
+     * @param {string} url - Resource URL
+     * @param {RequestInit} [init] - Fetch options, e.g. an abort `signal`
+     * @returns {Promise<Response>} Fetch response
+     * @throws {AuthRequiredError} When the user has to log in first
+     */
+    async fetchWithAuth(url, init) {
+        const response = await this.fetchResource(url, init)
+        const service = await this.#refusedBy(url, response)
+        if (!service) return response
+
+        this.auth.restrict(url, service)
+        if (await this.auth.requestToken(service)) {
+            const retry = await this.fetchResource(url, init)
+            if (!await this.#refusedBy(url, retry)) return retry
+        }
+        throw new AuthRequiredError(url, service)
+    }
+
+    /**
+     * Fetch a JSON resource through the resource cache, behind IIIF Auth
+     * @param {string} url - Resource URL
+     * @param {AbortSignal} [signal] - Aborts the request
+     * @returns {Promise<Object>} Parsed JSON
+     */
+    fetchJSON(url, signal) {
+        return this.cache.get(url, (resourceUrl, init) => this.fetchWithAuth(resourceUrl, init), { signal })
+    }
+
+    /**
+     * Forget cached manifests, canvases, annotation pages, image
+     * information and annotations, in memory and in IndexedDB
+     * @returns {Promise<void>}
+     */
+    async clearCache() {
+        await Promise.all([this.cache.clear(), this.annotationLoader.clear()])
+    }
+
+    /**
+     * The JSON body of a response, reusing the one already read while
+     * checking access so it is only parsed once
+     * @param {Response} response - Fetch response
+     * @returns {Promise<Object>} Parsed JSON
+     */
+    readJSON(response) {
+        return this.#bodies.get(response) ?? response.json()
+    }
+
+    /**
+     * The access service that keeps a response for a URL from being usable:
+     * the one the response names, or for a bare 401/403 the one already
+     * known to guard the URL
+     * @param {string} url - Resource URL
+     * @param {Response} response - Fetch response
+     * @returns {Promise<Object|null>} Access service, or null when access is granted or no service is known
+     */
+    async #refusedBy(url, response) {
+        const service = await this.#deniedBy(response)
+        if (service || (response.status !== 401 && response.status !== 403)) return service
+        return this.auth.serviceFor(url)
+    }
+
+    /**
+     * The access service that keeps a response from being usable, if any
+     * @param {Response} response - Fetch response
+     * @returns {Promise<Object|null>} Access service, or null when access is granted
+     */
+    async #deniedBy(response) {
+        const isJSON = /json/.test(response.headers.get('content-type') ?? "")
+        if (!isJSON && response.ok) return null
+
+        const parsed = response.json()
+        this.#bodies.set(response, parsed)
+        const body = await parsed.catch(() => null)
+        const services = this.auth.findAccessServices(body)
+        if (!services.length) return null
+
+        if (response.status === 401 || response.status === 403) {
+            return services.find(service => this.auth.isInteractive(service)) ?? services[0]
+        }
+
+        for (const service of services.filter(service => service.probeService)) {
+            if (!await this.auth.probe(service)) return service
+        }
+        return null
+    }
+
     /**
      * Parse XYWH coordinate string into object.
      * Tolerates the W3C Media Fragments forms `xywh=x,y,w,h`,
      * `xywh=pixel:x,y,w,h`, `xywh=pct:x,y,w,h`, and URI fragments
-     * such as `https://canvas/#xywh=...`.
+     * such as `https://canvas/#xywh=...`. Percent values are converted to
+     * pixels when the canvas dimensions are known.
      * @param {string} target - XYWH coordinate string or URI containing one
+     * @param {number} [canvasWidth] - Canvas width used to resolve `pct:` values
+     * @param {number} [canvasHeight] - Canvas height used to resolve `pct:` values
      * @returns {Object} Parsed coordinates {x, y, w, h}
      */
-    parseXYWH(target) {
-        const match = String(target ?? "").match(/xywh=(?:pixel:|pct:)?(-?[\d.]+),(-?[\d.]+),(-?[\d.]+),(-?[\d.]+)/)
+    parseXYWH(target, canvasWidth, canvasHeight) {
+        const match = String(target ?? "").match(/xywh=(pixel:|pct:)?(-?[\d.]+),(-?[\d.]+),(-?[\d.]+),(-?[\d.]+)/)
         if (!match) return { x: 0, y: 0, w: 0, h: 0 }
-        const [, x, y, w, h] = match.map(Number)
+        const [, unit, ...values] = match
+        const [x, y, w, h] = values.map(Number)
+
+        if (unit === "pct:" && canvasWidth && canvasHeight) {
+            return {
+                x: (x / 100) * canvasWidth,
+                y: (y / 100) * canvasHeight,
+                w: (w / 100) * canvasWidth,
+                h: (h / 100) * canvasHeight
+            }
+        }
         return { x, y, w, h }
     }
 
+    /**
+     * Resolve an annotation target into a drawable shape in canvas pixels.
+     * Understands xywh fragments (pixel or pct), FragmentSelector, SvgSelector,
+     * SpecificResource targets and selector arrays. When several selectors
+     * describe the same region, the SVG shape is preferred over the rectangle.
+     * @param {string|Object|Array} target - Annotation target, selector or selector list
+     * @param {number} [canvasWidth] - Canvas width used to resolve `pct:` values
+     * @param {number} [canvasHeight] - Canvas height used to resolve `pct:` values
+     * @returns {Object|null} Shape {type: 'rect'|'polygon'|'path', x, y, w, h, points?, d?} or null
+     */
+    parseSelector(target, canvasWidth, canvasHeight) {
+        if (!target) return null
+
+        if (Array.isArray(target)) {
+            const shapes = target.map(item => this.parseSelector(item, canvasWidth, canvasHeight)).filter(Boolean)
+            return shapes.find(shape => shape.type !== "rect") ?? shapes[0] ?? null
+        }
+
+        if (typeof target === "string") {
+            if (target.trim().startsWith("<")) return this.parseSvgSelector(target)
+            if (target.includes("xywh=")) return { type: "rect", ...this.parseXYWH(target, canvasWidth, canvasHeight) }
+            return null
+        }
+
+        if (typeof target !== "object") return null
+
+        const type = target.type ?? target["@type"]
+        if (type === "SvgSelector" || type === "oa:SvgSelector") {
+            return this.parseSvgSelector(target.value ?? target.chars)
+        }
+        if (type === "FragmentSelector" || type === "oa:FragmentSelector") {
+            return this.parseSelector(target.value, canvasWidth, canvasHeight)
+        }
+        if (target.selector) {
+            const shape = this.parseSelector(target.selector, canvasWidth, canvasHeight)
+            if (shape) return shape
+        }
+
+        // SpecificResource (v2 `full`) or bare resource whose id carries the fragment
+        const source = target.source ?? target.full ?? target.id ?? target["@id"]
+        const sourceId = typeof source === "object" ? source?.id ?? source?.["@id"] : source
+        return typeof sourceId === "string" ? this.parseSelector(sourceId, canvasWidth, canvasHeight) : null
+    }
+
+    /**
+     * Parse the first drawable element of an SvgSelector value.
+     * Supports polygon, polyline, rect and path elements in canvas coordinates.
+     * @param {string} svg - SVG markup
+     * @returns {Object|null} Shape with bounds, or null when nothing drawable is found
+     */
+    parseSvgSelector(svg) {
+        if (typeof svg !== "string") return null
+
+        const doc = new DOMParser().parseFromString(svg, "image/svg+xml")
+        const element = doc.querySelector("polygon, polyline, rect, path")
+        if (!element || doc.querySelector("parsererror")) return null
+
+        const tag = element.localName
+        if (tag === "rect") {
+            const [x, y, w, h] = ["x", "y", "width", "height"].map(attr => Number(element.getAttribute(attr)) || 0)
+            return { type: "rect", x, y, w, h }
+        }
+
+        if (tag === "path") {
+            const d = element.getAttribute("d") ?? ""
+            const bounds = this.#boundsOf(this.#pathPoints(d))
+            return bounds ? { type: "path", d, ...bounds } : null
+        }
+
+        const numbers = (element.getAttribute("points") ?? "").match(/-?[\d.]+(?:e-?\d+)?/gi)?.map(Number) ?? []
+        const points = []
+        for (let i = 0; i + 1 < numbers.length; i += 2) {
+            points.push([numbers[i], numbers[i + 1]])
+        }
+        const bounds = this.#boundsOf(points)
+        return bounds ? { type: "polygon", points, ...bounds } : null
+    }
+
+    /**
+     * Collect the end and control points of an SVG path so its bounds can
+     * be estimated. Arcs contribute their end point only.
+     * @param {string} d - SVG path data
+     * @returns {Array<Array<number>>} Absolute points
+     */
+    #pathPoints(d) {
+        const points = []
+        let current = [0, 0]
+        let start = [0, 0]
+        const arity = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 }
+
+        for (const [, command, args] of d.matchAll(/([MLHVCSQTAZ])([^MLHVCSQTAZ]*)/gi)) {
+            const lower = command.toLowerCase()
+            const relative = command === lower
+            const values = args.match(/-?[\d.]+(?:e-?\d+)?/gi)?.map(Number) ?? []
+
+            if (lower === "z") {
+                current = start
+                continue
+            }
+
+            for (let i = 0; i + arity[lower] <= values.length; i += arity[lower]) {
+                const group = values.slice(i, i + arity[lower])
+                const base = relative ? current : [0, 0]
+                let next
+                if (lower === "h") next = [group[0] + (relative ? current[0] : 0), current[1]]
+                else if (lower === "v") next = [current[0], group[0] + (relative ? current[1] : 0)]
+                else if (lower === "a") next = [group[5] + base[0], group[6] + base[1]]
+                else {
+                    for (let j = 0; j + 2 < group.length; j += 2) {
+                        points.push([group[j] + base[0], group[j + 1] + base[1]])
+                    }
+                    next = [group[group.length - 2] + base[0], group[group.length - 1] + base[1]]
+                }
+                points.push(next)
+                current = next
+                if (lower === "m" && i === 0) start = next
+            }
+        }
+        return points
+    }
+
+    /**
+     * Bounding box of a point list
+     * @param {Array<Array<number>>} points - Points as [x, y]
+     * @returns {Object|null} Bounds {x, y, w, h} or null for an empty list
+     */
+    #boundsOf(points) {
+        if (!points.length) return null
+        const xs = points.map(([x]) => x)
+        const ys = points.map(([, y]) => y)
+        const x = Math.min(...xs)
+        const y = Math.min(...ys)
+        return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y }
+    }
+
     /**
      * Validate if a string is a well-formed URL
      * @param {string} str - String to validate
@@ -51,22 +382,21 @@ export class IIIFDataService {
     }
 
     /**
-     * Fetch canvas data from URL or return if already an object
+     * Fetch canvas data from URL or return if already an object.
+     * Fetched resources come from the resource cache when still valid.
      * @param {string|Object} canvas - Canvas URL or object
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
      * @returns {Promise<Object>} Canvas data
      */
-    async getSpecificTypeData(type) {
+    async getSpecificTypeData(type, { signal } = {}) {
         if (!type) {
             throw new Error("No canvas/manifest/annotationPage/annotation provided")
         }
 
         let typeData = null
         if (typeof type === "string" && this.isValidUrl(type)) {
-            const response = await fetch(type)
-            if (!response.ok) {
-                throw new Error(`Failed to fetch canvas/manifest/annotationPage/annotation data from URL: ${response.status}`)
-            }
-            typeData = await response.json()
+            typeData = await this.fetchJSON(type, signal)
         } else if (typeof type === "object" && this.isValidJSON(type)) {
             typeData = type
         } else {
@@ -79,18 +409,20 @@ export class IIIFDataService {
      * @param {string|Object} canvas - Canvas URL or object
      * @param {string|Object} manifest - Manifest URL or object (optional)
      * @param {string|Object} annotationPage - Annotation Page URL or object (optional)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the requests of a load that is no longer wanted
      * @returns 
      */
-    async fetchPageViewerData(canvas, manifest, annotationPage) {
+    async fetchPageViewerData(canvas, manifest, annotationPage, { signal } = {}) {
         try {
             let canvasData = null
 
             // Try to fetch canvas data, but don't throw immediately if it fails
             try {
-                canvasData = await this.getSpecificTypeData(canvas)
+                canvasData = await this.getSpecificTypeData(canvas, { signal })
             } catch (error) {
-                // If we don't have a manifest to fall back to, throw now
-                if (!manifest) {
+                // If we don't have a manifest to fall back to, or the user has to log in, throw now
+                if (!manifest || error instanceof AuthRequiredError || signal?.aborted) {
                     throw error
                 }
                 console.warn("Failed to fetch canvas directly, will attempt to extract from manifest:", error.message)
@@ -98,143 +430,390 @@ export class IIIFDataService {
                 canvasData = canvas
             }
 
-            const manifestData = manifest ? await this.getSpecificTypeData(manifest) : null
-            const annotationPageData = annotationPage ? await this.getSpecificTypeData(annotationPage) : null
+            const manifestData = manifest ? await this.getSpecificTypeData(manifest, { signal }) : null
+            const annotationPageData = annotationPage ? await this.getSpecificTypeData(annotationPage, { signal }) : null
 
             if (!canvasData) {
                 throw new Error("Unsupported IIIF data structure")
             }
 
+            // A manifest given as the canvas; a `#canvas-id` fragment chooses the canvas
+            if (!manifestData && this.isManifest(canvasData)) {
+                const fragment = typeof canvas === "string" ? decodeURIComponent(new URL(canvas).hash.slice(1)) : ""
+                return await this.extractCanvasFromManifest(canvasData, fragment, annotationPageData ?? { items: [] }, { signal })
+            }
+
             if (manifestData) {
                 if (annotationPageData) {
-                    return await this.extractCanvasFromManifest(manifestData, canvasData, annotationPageData)
+                    return await this.extractCanvasFromManifest(manifestData, canvasData, annotationPageData, { signal })
                 }
-                return await this.extractCanvasFromManifest(manifestData, canvasData, { items: [] })
+                return await this.extractCanvasFromManifest(manifestData, canvasData, { items: [] }, { signal })
             }
             
             if (canvasData) {
                 if (annotationPageData) {
-                    return await this.processDirectCanvasData(canvasData, annotationPageData)
+                    return await this.processDirectCanvasData(canvasData, annotationPageData, { signal })
                 }
                 if (canvasData.items && canvasData.items.length > 0 && canvasData.items[0].target) {
-                    return await this.processPageData(canvasData)
+                    return await this.processPageData(canvasData, { signal })
                 }
-                return await this.processDirectCanvasData(canvasData, { items: [] })
+                return await this.processDirectCanvasData(canvasData, { items: [] }, { signal })
             }
         } catch (error) {
-            console.error("Error fetching IIIF data:", error)
+            if (!signal?.aborted) console.error("Error fetching IIIF data:", error)
             throw error
         }
     }
 
      /**
-     * Extract canvas data from a IIIF manifest
+     * Extract canvas data from a IIIF manifest. The manifest's canvas list
+     * and the position of the chosen canvas ride along with the result so
+     * the viewer can step between canvases without refetching the manifest.
      * @param {Object} manifestData - The manifest data
      * @param {Object} canvasData - The canvas data or reference
      * @param {Object} annotationPageData - Annotation page data (if any)
-     * @returns {Promise<Object>} Processed canvas data
+     * @param {Object} [options] - Abort `signal` for the requests
+     * @returns {Promise<Object>} Processed canvas data with {canvasId, canvases, canvasIndex, manifestData}
      */
-    async extractCanvasFromManifest(manifestData, canvasData, annotationPageData) {
+    async extractCanvasFromManifest(manifestData, canvasData, annotationPageData, options = {}) {
         let targetCanvas = null
 
-        let canvasID = this.isValidUrl(canvasData) ? canvasData : canvasData.id ?? canvasData["@id"]
-        // IIIF v3 format and IIIF v2 format
-        if (manifestData["@context"]) {
-            const canvases = manifestData?.sequences?.[0]?.canvases ?? manifestData?.items ?? []
-            targetCanvas = canvases.find(item => item.id === canvasID || item["@id"] === canvasID)
-            targetCanvas ??= canvases[0]
+        let canvasID = typeof canvasData === "string" ? canvasData : canvasData.id ?? canvasData["@id"]
+        const canvases = this.getCanvasList(manifestData)
+        targetCanvas = canvases.find(item => item.id === canvasID || item["@id"] === canvasID)
+
+        // Short references such as `manifest.json#canvas-id` name the last segment of the canvas id
+        if (!targetCanvas && canvasID) {
+            targetCanvas = canvases.find(item => {
+                const itemID = String(item.id ?? item["@id"] ?? "")
+                return itemID.endsWith(`/${canvasID}`) || itemID.endsWith(`#${canvasID}`)
+            })
         }
+        targetCanvas ??= canvases[0]
 
         if (!targetCanvas) {
             throw new Error("No canvas found in manifest")
         }
 
-        return await this.processDirectCanvasData(targetCanvas, annotationPageData)
+        const canvasInfo = await this.processDirectCanvasData(targetCanvas, annotationPageData, options)
+        return {
+            ...canvasInfo,
+            canvasId: targetCanvas.id ?? targetCanvas["@id"],
+            canvases,
+            canvasIndex: canvases.indexOf(targetCanvas),
+            manifestData
+        }
+    }
+
+    /**
+     * Check whether data is a IIIF manifest (Presentation API v2 or v3)
+     * @param {Object} data - IIIF resource
+     * @returns {boolean} True for a manifest
+     */
+    isManifest(data) {
+        const type = data?.type ?? data?.["@type"]
+        return type === "Manifest" || type === "sc:Manifest"
+    }
+
+    /**
+     * List the canvases of a manifest in sequence order
+     * @param {Object} manifestData - The manifest data
+     * @returns {Array<Object>} Canvases (IIIF v2 first sequence or IIIF v3 items)
+     */
+    getCanvasList(manifestData) {
+        // IIIF v3 format and IIIF v2 format
+        if (!manifestData?.["@context"]) return []
+        return manifestData.sequences?.[0]?.canvases ?? manifestData.items ?? []
+    }
+
+    /**
+     * Read a display label from a IIIF resource.
+     * Handles v2 strings and `@value` lists as well as v3 language maps.
+     * @param {Object} resource - Canvas or other IIIF resource
+     * @param {string} fallback - Label used when none is declared
+     * @returns {string} Label text
+     */
+    getLabel(resource, fallback = "") {
+        const label = resource?.label
+        if (typeof label === "string") return label
+        if (!label || typeof label !== "object") return fallback
+
+        const first = (Array.isArray(label) ? label : Object.values(label).flat())[0]
+        const value = typeof first === "object" ? first?.["@value"] : first
+        return value ? String(value) : fallback
+    }
+
+    /**
+     * Find a small preview image for a canvas: its declared `thumbnail`, or a
+     * size request against the image service of its first painting image.
+     * @param {Object} canvas - Canvas data
+     * @param {number} height - Requested thumbnail height in pixels
+     * @returns {string|null} Thumbnail URL or null when none can be derived
+     */
+    getCanvasThumbnail(canvas, height = 120) {
+        const thumbnail = [canvas?.thumbnail].flat()[0]
+        const thumbnailId = typeof thumbnail === "string" ? thumbnail : thumbnail?.id ?? thumbnail?.["@id"]
+        if (thumbnailId) return thumbnailId
+
+        const body = canvas?.items?.[0]?.items?.[0]?.body ?? canvas?.images?.[0]?.resource
+        const serviceId = this.#serviceId(body)
+        if (serviceId) return `${serviceId.replace(/\/info\.json$/, "")}/full/,${height}/0/default.jpg`
+
+        return null
+    }
+
+    /**
+     * Id of the first service declared on a resource
+     * @param {Object} resource - Image or other IIIF resource
+     * @returns {string|null} Service id
+     */
+    #serviceId(resource) {
+        const service = [resource?.service ?? []].flat()[0]
+        return (typeof service === "string" ? service : service?.id ?? service?.["@id"]) ?? null
     }
 
      /**
      * Process direct canvas data (from manifest or direct canvas)
      * @param {Object} canvasData - The canvas data
      * @param {Object} annotationPageData - Annotation page data (if any)
+     * @param {Object} [options] - Abort `signal` for the requests
      * @returns {Promise<Object>} Processed canvas data
      */
-    async processDirectCanvasData(canvasData, annotationPageData) {
-        const canvasInfo = await this.extractImageInfo(canvasData)
-        let annotations = []
-
-        // IIIF v3 annotations
-        if (annotationPageData.items) {
-            annotations = await Promise.all(
-                annotationPageData.items.map(async (anno) => {
-                    const line = await fetch(anno.id)
-                    const lineData = await line.json()
-                    return {
-                        target: lineData?.target?.selector?.value ?? lineData?.target,
-                        text: lineData?.body?.value ?? "",
-                        lineid: lineData?.id,
-                    }
-                })
-            ).then((results) => results.flat())
+    async processDirectCanvasData(canvasData, annotationPageData, options = {}) {
+        canvasData = this.adapter.normalizeCanvas(canvasData)
+        const canvasInfo = await this.extractImageInfo(canvasData, options)
+
+        // Without an explicit page, use the pages and lists the canvas references itself
+        const explicitItems = this.getAnnotationItems(annotationPageData)
+        if (explicitItems.length > 0) {
+            const { annotations, failedAnnotations } = await this.loadAnnotations(explicitItems, [], options)
+            return { ...canvasInfo, annotations, failedAnnotations, annotationLayers: [] }
         }
 
-        return { ...canvasInfo, annotations }
+        const pages = await this.fetchCanvasAnnotationPages(canvasData, options)
+        const items = pages.flatMap(page => this.getAnnotationItems(page))
+        const layers = pages.flatMap((page, index) => this.getAnnotationItems(page).map(() => String(index)))
+        const { annotations, failedAnnotations } = await this.loadAnnotations(items, layers, options)
+
+        const annotationLayers = pages.map((page, index) => ({
+            id: String(index),
+            pageId: page.id ?? page["@id"] ?? null,
+            label: this.getLabel(page, `Layer ${index + 1}`)
+        }))
+
+        return { ...canvasInfo, annotations, failedAnnotations, annotationLayers }
+    }
+
+    /**
+     * List the annotations of an AnnotationPage (v3 `items`) or
+     * AnnotationList (v2 `resources`), leaving out painting annotations.
+     * @param {Object} pageData - AnnotationPage or AnnotationList
+     * @returns {Array<string|Object>} Annotation references or embedded annotations
+     */
+    getAnnotationItems(pageData) {
+        const items = pageData?.items ?? pageData?.resources ?? []
+        return items.filter(item => !["sc:painting", "painting"].includes(item?.motivation))
+    }
+
+    /**
+     * Find the annotation pages a canvas points to: v3 `annotations`
+     * (AnnotationPages or paged AnnotationCollections) and v2 `otherContent`
+     * AnnotationLists. The pages of a collection are merged into one page.
+     * Pages that fail to load are skipped; restricted pages raise an AuthRequiredError.
+     * @param {Object} canvasData - Canvas data
+     * @param {Object} [options] - Abort `signal` for the requests
+     * @returns {Promise<Array<Object>>} AnnotationPages/AnnotationLists with their items
+     */
+    async fetchCanvasAnnotationPages(canvasData, options = {}) {
+        const references = [canvasData?.annotations ?? [], canvasData?.otherContent ?? []].flat()
+        const pages = await Promise.all(references.map(reference => this.#resolveAnnotationPage(reference, options)))
+        return pages.filter(Boolean)
+    }
+
+    /**
+     * Resolve one page reference. AnnotationCollections are walked from
+     * `first` along `next` links, stopping at a repeated page.
+     * @param {string|Object} reference - Page or collection, embedded or by id
+     * @returns {Promise<Object|null>} Page with all items, or null when it cannot be loaded
+     */
+    async #resolveAnnotationPage(reference, options) {
+        const page = await this.#resolveAnnotationResource(reference, options)
+        const type = page?.type ?? page?.["@type"]
+        if (type !== "AnnotationCollection" || !page.first) return page
+
+        const items = []
+        const seen = new Set()
+        let next = page.first
+        while (next) {
+            const current = await this.#resolveAnnotationResource(next, options)
+            const currentId = current?.id ?? current?.["@id"] ?? next
+            if (!current || seen.has(currentId)) break
+            seen.add(currentId)
+            items.push(...this.getAnnotationItems(current))
+            next = current.next
+        }
+
+        return { ...page, items }
+    }
+
+    /**
+     * Use an embedded annotation resource as it is, or fetch it by id
+     * @param {string|Object} reference - Resource or its id
+     * @returns {Promise<Object|null>} Resource data or null when the fetch fails
+     * @throws {AuthRequiredError} When the resource needs a login
+     */
+    async #resolveAnnotationResource(reference, options) {
+        if (reference && typeof reference === "object" &&
+            (Array.isArray(reference.items) || Array.isArray(reference.resources) || reference.first)) {
+            return reference
+        }
+
+        const resourceId = typeof reference === "string" ? reference : reference?.id ?? reference?.["@id"]
+        try {
+            return await this.getSpecificTypeData(resourceId, options)
+        } catch (error) {
+            // Restricted transcriptions are worth a login, not a silent gap
+            if (error instanceof AuthRequiredError) throw error
+            console.warn(`Failed to fetch annotations ${resourceId}:`, error)
+            return null
+        }
     }
 
     /**
      * Process page data that has annotation references
      * @param {Object} data - Page data with target reference
+     * @param {Object} [options] - Abort `signal` for the requests
      * @returns {Promise<Object>} Processed page data
      */
-    async processPageData(data) {
-        const target = await fetch(data.target)
-        
-        if (!target.ok) {
-            throw new Error(`Failed to fetch target data: ${target.status}`)
+    async processPageData(data, options = {}) {
+        const targetData = this.adapter.normalizeCanvas(await this.fetchJSON(data.target, options.signal))
+        const canvasInfo = await this.extractImageInfo(targetData, options)
+        const { annotations, failedAnnotations } = await this.loadAnnotations(data.items, [], options)
+
+        return { ...canvasInfo, annotations, failedAnnotations }
+    }
+
+    /**
+     * Load and normalize the annotations of a page. Lines that cannot be
+     * fetched are reported rather than failing the page. Each line keeps
+     * the annotation it was read from as `original`, for saving it back.
+     * @param {Array<string|Object>} items - AnnotationPage items
+     * @param {Array<string>} [layers] - Layer id of each item, parallel to `items`
+     * @param {Object} [options] - Abort `signal` for the requests
+     * @returns {Promise<Object>} {annotations, failedAnnotations}
+     * @throws {AuthRequiredError} When an annotation needs a login
+     */
+    async loadAnnotations(items = [], layers = [], options = {}) {
+        const { annotations, failed } = await this.annotationLoader.loadAll(items, { signal: options.signal })
+        const failedIndexes = new Set(failed.map(failure => failure.index))
+        const loadedLayers = layers.filter((layer, index) => !failedIndexes.has(index))
+
+        return {
+            annotations: annotations.map((lineData, index) => ({
+                ...this.normalizeAnnotation(lineData),
+                layer: loadedLayers[index] ?? null,
+                original: lineData
+            })),
+            failedAnnotations: failed
         }
+    }
 
-        const targetData = await target.json()
-        const canvasInfo = await this.extractImageInfo(targetData)
+    /**
+     * Reduce an annotation to the shape the viewer renders, as the
+     * current adapter reads it
+     * @param {Object} lineData - Annotation data
+     * @returns {Object} {target, text, lineid}
+     */
+    normalizeAnnotation(lineData) {
+        return this.adapter.normalizeAnnotation(lineData)
+    }
 
-        if (data.items.length === 0) {
-            return { ...canvasInfo, annotations: [] }
+    /**
+     * Write a normalized annotation back out as a W3C annotation on a
+     * canvas. `xywh` targets become a FragmentSelector and SVG targets an
+     * SvgSelector; other targets are passed through.
+     * @param {Object} anno - Normalized annotation {target, text, lineid, motivation, tags, styleClass, stylesheet}
+     * @param {string} canvasId - Canvas the annotation targets
+     * @returns {Object} W3C annotation
+     */
+    serializeAnnotation(anno, canvasId) {
+        const target = typeof anno.target === "string" ? anno.target.trim() : anno.target
+        let selector = null
+        if (typeof target === "string" && target.startsWith("<")) {
+            selector = { type: "SvgSelector", value: target }
+        } else if (typeof target === "string" && target.includes("xywh=")) {
+            selector = {
+                type: "FragmentSelector",
+                conformsTo: "http://www.w3.org/TR/media-frags/",
+                value: target.slice(target.indexOf("xywh="))
+            }
         }
-        
-        // Fetch annotation data
-        const annotations = await Promise.all(
-            data.items.map(async (anno) => {
-                try {
-                    const line = await fetch(anno.id)
-                    if (!line.ok) return null
-                    
-                    const lineData = await line.json()
-                    return {
-                        target: lineData?.target?.selector?.value ?? lineData?.target,
-                        text: lineData?.body?.value ?? "",
-                        lineid: lineData?.id
-                    }
-                } catch (error) {
-                    console.warn(`Failed to fetch annotation ${anno.id}:`, error)
-                    return null
-                }
-            })
-        )
 
-        const validAnnotations = annotations.filter(anno => anno !== null)
-        
-        return { ...canvasInfo, annotations: validAnnotations }
+        return {
+            "@context": "http://www.w3.org/ns/anno.jsonld",
+            id: anno.lineid,
+            type: "Annotation",
+            ...(anno.motivation?.length && { motivation: anno.motivation.length === 1 ? anno.motivation[0] : anno.motivation }),
+            body: [
+                { type: "TextualBody", value: anno.text ?? "", format: "text/plain" },
+                ...(anno.tags ?? []).map(tag => ({ type: "TextualBody", value: tag, purpose: "tagging" }))
+            ],
+            target: selector
+                ? { source: canvasId, selector, ...(anno.styleClass && { styleClass: anno.styleClass }) }
+                : target,
+            ...(anno.stylesheet && { stylesheet: anno.stylesheet })
+        }
     }
 
     /**
-     * Extract image information from canvas data
+     * A copy of an annotation as it was fetched, pointing at another region
+     * of its canvas. Only the selector changes, so saving the copy keeps the
+     * bodies, provenance and anything else the viewer does not read, and a
+     * Presentation 2 annotation stays one.
+     * @param {Object} original - Annotation as fetched, W3C (`target`) or Presentation 2 (`on`)
+     * @param {string} region - `xywh=x,y,w,h` in canvas pixels, or a target ending in one
+     * @param {string} canvasId - Canvas, for a target that does not name it
+     * @returns {Object} Annotation
+     */
+    retargetAnnotation(original, region, canvasId) {
+        const annotation = structuredClone(original)
+        const fragment = region.slice(region.indexOf("xywh="))
+        const key = "target" in annotation || !("on" in annotation) ? "target" : "on"
+        const selector = key === "on"
+            ? { "@type": "oa:FragmentSelector", value: fragment }
+            : { type: "FragmentSelector", conformsTo: "http://www.w3.org/TR/media-frags/", value: fragment }
+
+        const retarget = (target) => {
+            if (typeof target === "string") return `${target.split("#")[0] || canvasId}#${fragment}`
+            if (target?.source || target?.full || target?.selector) return { ...target, selector }
+            const idKey = target?.id === undefined && target?.["@id"] !== undefined ? "@id" : "id"
+            if (target?.[idKey]) return { ...target, [idKey]: `${String(target[idKey]).split("#")[0]}#${fragment}` }
+            return key === "on" ? `${canvasId}#${fragment}` : { source: canvasId, selector }
+        }
+        const target = annotation[key]
+        annotation[key] = Array.isArray(target) ? [retarget(target[0]), ...target.slice(1)] : retarget(target)
+        return annotation
+    }
+
+    /**
+     * Extract image information from canvas data. The first painting layer
+     * that covers the whole canvas is the base image; the other layers are
+     * listed in `paintingLayers` to be drawn over it. A small `placeholder`
+     * can be shown while the image loads: the canvas thumbnail, when the
+     * base image has no image service to ask for a small size.
      * @param {Object} canvasData - Canvas data
-     * @returns {Promise<Object>} Image URL, width, and height
-     */
-    async extractImageInfo(canvasData) {
-        // Support both IIIF v2 and v3 formats
-        const imgUrl = canvasData?.items?.[0]?.items?.[0]?.body?.id ?? 
-                       canvasData?.images?.[0]?.resource?.["@id"] ??
-                       canvasData?.images?.[0]?.resource?.id
-                      
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the requests
+     * @returns {Promise<Object>} Image URL, width, height, image service, placeholder, painting layers and the base layer index
+     */
+    async extractImageInfo(canvasData, { signal } = {}) {
+        const paintingLayers = this.getPaintingLayers(canvasData)
+        const baseLayer = paintingLayers.findIndex(layer => !layer.region)
+        const base = paintingLayers[baseLayer]
+        // When every image is placed at an offset, the canvas itself is left blank
+        const choice = base?.choices[base.choice]
+        const imgUrl = choice ? choice.url : paintingLayers.length ? BLANK_IMAGE : null
+
         const imgWidth = canvasData?.width
         const imgHeight = canvasData?.height
 
@@ -243,48 +822,143 @@ export class IIIFDataService {
         }
 
         // Check if the image URL points to an info.json (IIIF Image API)
-        const processedImageUrl = await this.processIIIFImageUrl(imgUrl, imgWidth, imgHeight)
+        const { imgUrl: processedImageUrl, imageService } = await this.processIIIFImageUrl(imgUrl, imgWidth, imgHeight, {
+            service: choice?.service,
+            signal
+        })
+        const placeholder = choice && !imageService ? this.getCanvasThumbnail(canvasData) : null
+
+        return { imgUrl: processedImageUrl, imgWidth, imgHeight, imageService, placeholder, paintingLayers, baseLayer }
+    }
+
+    /**
+     * List the images painted on a canvas, one layer per painting annotation
+     * (v3 `items`, v2 `images`). A `Choice` body (v3 `items`, v2 `default`
+     * and `item`) gives one layer several options, e.g. the visible, UV and
+     * IR captures of a multispectral page; the first option is the default.
+     * @param {Object} canvasData - Canvas data
+     * @returns {Array<Object>} Layers {id, label, choices: [{url, label}], choice, region}, where
+     *   `region` is the {x, y, w, h} the image covers in canvas pixels, or null for the whole canvas
+     */
+    getPaintingLayers(canvasData) {
+        const width = canvasData?.width
+        const height = canvasData?.height
+        const isPainting = (anno) => !anno?.motivation || [anno.motivation].flat().some(motivation => /painting$/.test(motivation))
+        const annotations = [
+            ...(canvasData?.items ?? []).flatMap(page => page?.items ?? []).filter(isPainting)
+                .map(anno => ({ id: anno.id ?? null, body: anno.body, target: anno.target, label: anno.label })),
+            ...(canvasData?.images ?? [])
+                .map(anno => ({ id: anno["@id"] ?? anno.id ?? null, body: anno.resource, target: anno.on, label: anno.label }))
+        ]
+
+        return annotations.flatMap((anno, index) => {
+            const body = [anno.body].flat()[0]
+            const choices = this.#paintingChoices(body)
+            if (!choices.length) return []
+
+            const shape = typeof anno.target === "string" && !anno.target.includes("xywh=")
+                ? null
+                : this.parseSelector(anno.target, width, height)
+            const covers = !shape || !shape.w || !shape.h ||
+                (shape.x <= 0 && shape.y <= 0 && shape.x + shape.w >= width && shape.y + shape.h >= height)
 
-        return { imgUrl: processedImageUrl, imgWidth, imgHeight }
+            return [{
+                id: anno.id,
+                label: this.getLabel(anno, this.getLabel(body, `Image ${index + 1}`)),
+                choices,
+                choice: 0,
+                region: covers ? null : { x: shape.x, y: shape.y, w: shape.w, h: shape.h }
+            }]
+        })
     }
 
     /**
-     * Process IIIF Image URL and handle info.json responses
+     * The options of a painting body: each item of a Choice, or the body itself
+     * @param {Object|string} body - Painting annotation body
+     * @returns {Array<Object>} Options {url, label, service}
+     */
+    #paintingChoices(body) {
+        const type = body?.type ?? body?.["@type"]
+        const items = type === "Choice" || type === "oa:Choice"
+            ? [...[body.default ?? []].flat(), ...[body.items ?? body.item ?? []].flat()]
+            : [body]
+
+        return items.flatMap((item, index) => {
+            // A SpecificResource body points at its image through `source`
+            const resource = item?.source ?? item?.full ?? item
+            const url = typeof resource === "string" ? resource : resource?.id ?? resource?.["@id"]
+            return url ? [{
+                url,
+                label: this.getLabel(item, this.getLabel(resource, `Option ${index + 1}`)),
+                service: this.#serviceId(resource) ?? this.#serviceId(item)
+            }] : []
+        })
+    }
+
+    /**
+     * Process IIIF Image URL and handle info.json responses.
+     * The info.json is found without downloading the image: from the
+     * image service declared on the painting body, from a URL that is an
+     * info.json or an Image API request, or from a HEAD request telling
+     * whether another URL without an image file extension answers with JSON.
+     * The info.json is handed back alongside the URL so the viewer can
+     * request tiles from the same service when zooming.
      * @param {string} imgUrl - Original image URL
      * @param {number} maxWidth - Maximum width from canvas
      * @param {number} maxHeight - Maximum height from canvas
-     * @returns {Promise<string>} Processed image URL
+     * @param {Object} [options]
+     * @param {string} [options.service] - Image service id declared for the image
+     * @param {AbortSignal} [options.signal] - Aborts the requests
+     * @returns {Promise<Object>} Processed image URL and image service info {imgUrl, imageService}
      */
-    async processIIIFImageUrl(imgUrl, maxWidth, maxHeight) {
+    async processIIIFImageUrl(imgUrl, maxWidth, maxHeight, { service = null, signal } = {}) {
+        // Local files opened in the viewer and the blank stand-in are plain images
+        if (/^(blob|data):/.test(imgUrl)) return { imgUrl, imageService: null }
+
         try {
-            // First, try to fetch the URL to see if it returns info.json
-            const response = await fetch(imgUrl)
-            
-            if (!response.ok) {
-                // If fetch fails, return original URL (might be a direct image)
-                return imgUrl
-            }
+            const infoUrl = service ? `${service.replace(/\/info\.json$/, "")}/info.json` : await this.#findImageInfo(imgUrl, signal)
+            if (!infoUrl) return { imgUrl, imageService: null }
 
-            const contentType = response.headers.get('content-type')
-            
-            // Check if response is JSON (indicating info.json)
-            if (contentType?.includes('application/json') || contentType?.includes('application/ld+json')) {
-                const infoData = await response.json()
-                
-                // Validate this is a IIIF Image API info.json
-                if (this.isIIIFImageInfo(infoData)) {
-                    return this.constructIIIFImageUrl(infoData, maxWidth, maxHeight)
+            const infoData = await this.fetchJSON(infoUrl, signal)
+            if (this.isIIIFImageInfo(infoData)) {
+                return {
+                    imgUrl: this.constructIIIFImageUrl(infoData, maxWidth, maxHeight),
+                    imageService: infoData
                 }
             }
-            
-            // If it's not JSON or not a valid info.json, return original URL
-            return imgUrl
-            
+            return { imgUrl, imageService: null }
+
         } catch (error) {
+            if (error instanceof AuthRequiredError || signal?.aborted) throw error
             console.warn('Error processing IIIF image URL:', error)
             // Fallback to original URL if processing fails
-            return imgUrl
+            return { imgUrl, imageService: null }
+        }
+    }
+
+    /**
+     * Where the info.json for an image URL is, without downloading the image
+     * @param {string} imgUrl - Image URL
+     * @param {AbortSignal} [signal] - Aborts the request
+     * @returns {Promise<string|null>} info.json URL, or null for a plain image
+     * @throws {AuthRequiredError} When the image is known to need a login
+     */
+    async #findImageInfo(imgUrl, signal) {
+        const { pathname } = new URL(imgUrl)
+        if (pathname.endsWith("/info.json")) return imgUrl
+
+        const request = imgUrl.match(IMAGE_REQUEST)
+        if (request) return `${request[1]}/info.json`
+        if (IMAGE_FILE.test(pathname)) return null
+
+        // Anything else, such as an image service's base URI, is asked for its media type only
+        const response = await this.fetchWithAuth(imgUrl, { method: "HEAD", signal })
+        // Only a server that does not support HEAD is asked again with GET
+        if (response.status === 405 || response.status === 501) return imgUrl
+        if (response.status === 401 || response.status === 403) {
+            throw new Error(`Access to ${imgUrl} was refused without naming an access service`)
         }
+        return response.ok && /json/.test(response.headers.get('content-type') ?? "") ? imgUrl : null
     }
 
     /**
@@ -312,12 +986,16 @@ export class IIIFDataService {
      * @param {Object} infoData - IIIF Image API info.json data
      * @param {number} maxWidth - Maximum width constraint
      * @param {number} maxHeight - Maximum height constraint
+     * @param {Object} [options]
+     * @param {Object|null} [options.region] - Region in image pixels {x, y, w, h}; the full image when omitted
+     * @param {string} [options.rotation] - Rotation parameter, e.g. `90` or `!0`
+     * @param {string} [options.quality] - Quality, e.g. `gray` or `bitonal`
      * @returns {string} Constructed IIIF Image URL
      */
-    constructIIIFImageUrl(infoData, maxWidth, maxHeight) {
+    constructIIIFImageUrl(infoData, maxWidth, maxHeight, { region = null, rotation = "0", quality = "default" } = {}) {
         const baseUrl = infoData["@id"] || infoData.id
-        const imageWidth = infoData.width
-        const imageHeight = infoData.height
+        const imageWidth = region?.w ?? infoData.width
+        const imageHeight = region?.h ?? infoData.height
         
         if (!baseUrl) {
             throw new Error("No base URL found in IIIF Image API info")
@@ -335,12 +1013,13 @@ export class IIIFDataService {
             targetHeight = Math.floor(targetWidth / aspectRatio)
         }
 
-        // Check supported sizes and profiles for optimal parameters
-        const sizeParam = this.getBestSizeParameter(infoData, targetWidth, targetHeight)
+        // Check supported sizes and profiles for optimal parameters; listed sizes describe the full image only
+        const sizeParam = this.getBestSizeParameter(region ? { ...infoData, sizes: null } : infoData, targetWidth, targetHeight)
+        const regionParam = region ? `${region.x},${region.y},${region.w},${region.h}` : "full"
         
         // Construct IIIF Image API URL: {baseUrl}/{region}/{size}/{rotation}/{quality}.{format}
-        // Using full region, calculated size, no rotation, default quality, jpg format
-        const imageUrl = `${baseUrl}/full/${sizeParam}/0/default.jpg`
+        // Using calculated size and jpg format
+        const imageUrl = `${baseUrl}/${regionParam}/${sizeParam}/${rotation}/${quality}.jpg`
         return imageUrl
     }
 
@@ -393,4 +1072,75 @@ export class IIIFDataService {
         }
         return null
     }
-}
+
+    /**
+     * Read the optional features of an image service that the viewer can use.
+     * Image API v3 lists them in `extraQualities`/`extraFeatures`; v2 in the
+     * profile description. Level 2 services rotate by 90 degrees.
+     * @param {Object} infoData - IIIF Image API info.json data
+     * @returns {Object} {qualities, rotationBy90s, mirroring}
+     */
+    getImageFeatures(infoData) {
+        const profiles = [infoData?.profile ?? []].flat()
+        const descriptions = profiles.filter(profile => profile && typeof profile === "object")
+        const levels = profiles.filter(profile => typeof profile === "string").join(" ")
+
+        const qualities = [infoData?.extraQualities ?? [], ...descriptions.map(profile => profile.qualities ?? [])].flat()
+        const features = [infoData?.extraFeatures ?? [], ...descriptions.map(profile => profile.supports ?? [])].flat()
+
+        return {
+            qualities: ["default", ...new Set(qualities.filter(quality => quality !== "default"))],
+            rotationBy90s: features.includes("rotationBy90s") || /level2/.test(levels),
+            mirroring: features.includes("mirroring")
+        }
+    }
+
+    /**
+     * Check whether info.json describes an Image API v3 service
+     * @param {Object} infoData - IIIF Image API info.json data
+     * @returns {boolean} True for Image API v3
+     */
+    isImageApi3(infoData) {
+        const context = [infoData?.["@context"]].flat().join(" ")
+        return infoData?.type === "ImageService3" || context.includes("iiif.io/api/image/3")
+    }
+
+    /**
+     * Read the tiling parameters advertised by an info.json
+     * @param {Object} infoData - IIIF Image API info.json data
+     * @returns {Object|null} Tile info {width, height, scaleFactors} or null when the service is not tiled
+     */
+    getTileInfo(infoData) {
+        const tiles = infoData?.tiles?.[0]
+        if (!tiles?.width || !infoData.width || !infoData.height) return null
+
+        const scaleFactors = Array.isArray(tiles.scaleFactors) && tiles.scaleFactors.length
+            ? [...tiles.scaleFactors].sort((a, b) => a - b)
+            : [1]
+
+        return {
+            width: tiles.width,
+            height: tiles.height ?? tiles.width,
+            scaleFactors
+        }
+    }
+
+    /**
+     * Construct a IIIF Image API URL for one tile
+     * @param {Object} infoData - IIIF Image API info.json data
+     * @param {Object} region - Tile region in full-image pixels {x, y, w, h}
+     * @param {number} scaleFactor - Scale factor the tile is requested at
+     * @param {string} [quality] - Quality, e.g. `gray` or `bitonal`
+     * @returns {string} Constructed IIIF tile URL
+     */
+    constructIIIFTileUrl(infoData, region, scaleFactor, quality = "default") {
+        const baseUrl = infoData["@id"] || infoData.id
+        const { x, y, w, h } = region
+        const width = Math.ceil(w / scaleFactor)
+        const height = Math.ceil(h / scaleFactor)
+
+        // Image API v2 tiles are requested by width only; v3 expects both dimensions
+        const sizeParam = this.isImageApi3(infoData) ? `${width},${height}` : `${width},`
+        return `${baseUrl}/${x},${y},${w},${h}/${sizeParam}/0/${quality}.jpg`
+    }
+}
\ No newline at end of file
@@ -0,0 +1,125 @@
+/**
+ * Image Adjustments - Orientation, quality and display filters for the canvas image
+ * Rotation and mirroring follow the IIIF Image API order: mirror first, then
+ * rotate clockwise. Brightness, contrast and invert are drawn by the browser.
+ * Settings round-trip through URL parameters so a shared link keeps them.
+ */
+
+/**
+ * Values used when a setting is absent from the URL
+ */
+const DEFAULTS = {
+    rotation: 0,
+    mirror: false,
+    quality: "default",
+    brightness: 100,
+    contrast: 100,
+    invert: false
+}
+
+export class ImageAdjustments {
+    /**
+     * @param {Object} [settings] - Any of {rotation, mirror, quality, brightness, contrast, invert}
+     */
+    constructor(settings = {}) {
+        Object.assign(this, DEFAULTS, settings)
+        this.rotation = ((Math.round(this.rotation / 90) * 90) % 360 + 360) % 360
+    }
+
+    /**
+     * Read settings from URL parameters, ignoring values that do not parse
+     * @param {URLSearchParams} params - Page URL parameters
+     * @returns {ImageAdjustments} Settings
+     */
+    static fromUrlParams(params) {
+        const number = (name) => {
+            const value = Number(params.get(name))
+            return params.has(name) && Number.isFinite(value) ? value : DEFAULTS[name]
+        }
+        return new ImageAdjustments({
+            rotation: number("rotation"),
+            mirror: params.get("mirror") === "true",
+            quality: params.get("quality") || DEFAULTS.quality,
+            brightness: number("brightness"),
+            contrast: number("contrast"),
+            invert: params.get("invert") === "true"
+        })
+    }
+
+    /**
+     * URL state for `UIManager.updateUrlState`; default values clear their parameter
+     * @returns {Object} Parameter names mapped to values or null
+     */
+    toUrlState() {
+        return Object.fromEntries(Object.keys(DEFAULTS).map(name => {
+            const value = this[name]
+            return [name, value === DEFAULTS[name] ? null : String(value)]
+        }))
+    }
+
+    /**
+     * Copy with some settings changed
+     * @param {Object} changes - Settings to change
+     * @returns {ImageAdjustments} New settings
+     */
+    with(changes) {
+        return new ImageAdjustments({ ...this, ...changes })
+    }
+
+    /**
+     * Whether width and height trade places on screen
+     * @returns {boolean} True at 90 and 270 degrees
+     */
+    get isQuarterTurn() {
+        return this.rotation % 180 !== 0
+    }
+
+    /**
+     * IIIF Image API rotation parameter, e.g. `!90`
+     * @returns {string} Rotation parameter
+     */
+    get rotationParameter() {
+        return `${this.mirror ? "!" : ""}${this.rotation}`
+    }
+
+    /**
+     * CSS transform that mirrors and rotates an element about its center
+     * @returns {string} Transform, empty when the image is upright
+     */
+    get transform() {
+        const parts = []
+        if (this.rotation) parts.push(`rotate(${this.rotation}deg)`)
+        if (this.mirror) parts.push("scaleX(-1)")
+        return parts.join(" ")
+    }
+
+    /**
+     * CSS filter for brightness, contrast and invert
+     * @returns {string} Filter, `none` when nothing is adjusted
+     */
+    get filter() {
+        const parts = []
+        if (this.brightness !== 100) parts.push(`brightness(${this.brightness}%)`)
+        if (this.contrast !== 100) parts.push(`contrast(${this.contrast}%)`)
+        if (this.invert) parts.push("invert(1)")
+        return parts.join(" ") || "none"
+    }
+
+    /**
+     * Map a point on screen back onto the upright image. Both points are
+     * fractions (0-1) of their box's width and height.
+     * @param {number} u - Horizontal position on screen
+     * @param {number} v - Vertical position on screen
+     * @returns {Array<number>} Horizontal and vertical position on the upright image
+     */
+    toImagePoint(u, v) {
+        let [x, y] = {
+            0: [u, v],
+            90: [v, 1 - u],
+            180: [1 - u, 1 - v],
+            270: [1 - v, u]
+        }[this.rotation]
+        if (this.mirror) x = 1 - x
+        return [x, y]
+    }
+}
@@ -0,0 +1,468 @@
+/**
+ * Line Editor - Correcting line boxes on the canvas
+ * Moves and resizes the selected overlay by its handles, draws new boxes,
+ * splits a box that covers two lines and merges neighbouring lines. Every
+ * edit produces a new list of annotations, so undo and redo only swap
+ * lists. Edited lines get plain `xywh` targets in canvas pixels; polygons
+ * become their bounding box once they are moved or resized.
+ */
+
+import { READING_ORDERS } from './reading-order.js'
+
+/**
+ * Resize handles, named by the edges they move
+ */
+const HANDLES = ["n", "ne", "e", "se", "s", "sw", "w", "nw"]
+
+/**
+ * Smallest box kept after a drag, in canvas pixels
+ */
+const MIN_SIZE = 4
+
+export class LineEditor {
+    #undo = []
+    #redo = []
+    #gesture = null
+    #selected = null
+    #draft = null
+    #listeners = []
+
+    /**
+     * @param {UIManager} ui - Viewer UI whose overlays are edited
+     */
+    constructor(ui) {
+        this.ui = ui
+        this.enabled = false
+        this.drawing = false
+        this.onChange = null
+        this.onToolChange = null
+    }
+
+    /**
+     * Turn on editing of the overlays on the surface
+     */
+    enable() {
+        if (this.enabled) return
+        this.enabled = true
+        const surface = this.ui.surface
+        surface.classList.add('lineEditing')
+
+        this.#listen(surface, 'pointerdown', (e) => this.#onPointerDown(e))
+        this.#listen(surface, 'pointermove', (e) => this.#onPointerMove(e))
+        this.#listen(surface, 'pointerup', (e) => this.#onPointerUp(e, true))
+        this.#listen(surface, 'pointercancel', (e) => this.#onPointerUp(e, false))
+        this.#listen(document, 'keydown', (e) => this.#onKeyDown(e))
+
+        this.select(surface.querySelector('.overlayBox.clicked'))
+    }
+
+    /**
+     * Turn editing off; the history is kept until the page changes
+     */
+    disable() {
+        if (!this.enabled) return
+        this.setDrawing(false)
+        this.select(null)
+        this.enabled = false
+        this.#gesture = null
+        this.ui.surface?.classList.remove('lineEditing')
+        this.#listeners.forEach(([target, type, handler]) => target.removeEventListener(type, handler))
+        this.#listeners = []
+    }
+
+    /**
+     * Switch the new-box tool on or off. While it is on, dragging anywhere
+     * on the canvas draws a line. It stays off while the UI allows no
+     * structural edits.
+     * @param {boolean} drawing - Whether dragging draws boxes
+     */
+    setDrawing(drawing) {
+        this.drawing = this.enabled && this.ui.structuralEdits && Boolean(drawing)
+        this.ui.surface?.classList.toggle('drawing', this.drawing)
+        this.onToolChange?.()
+    }
+
+    /**
+     * Show the resize handles on the selected overlay
+     * @param {HTMLElement|null} box - Selected overlay, or null
+     */
+    select(box) {
+        this.#selected?.querySelectorAll('.editHandle').forEach(handle => handle.remove())
+        this.#selected = this.enabled ? box ?? null : null
+        if (!this.#selected) return
+
+        HANDLES.forEach(name => {
+            const handle = document.createElement('span')
+            handle.className = 'editHandle'
+            handle.dataset.handle = name
+            handle.setAttribute('aria-hidden', 'true')
+            this.#selected.appendChild(handle)
+        })
+    }
+
+    get canUndo() {
+        return this.#undo.length > 0
+    }
+
+    get canRedo() {
+        return this.#redo.length > 0
+    }
+
+    /**
+     * Revert the last edit
+     * @returns {boolean} True when there was an edit to revert
+     */
+    undo() {
+        const step = this.#undo.pop()
+        if (!step) return false
+        this.#redo.push(step)
+        this.#show("undo", step.before, step.selected)
+        return true
+    }
+
+    /**
+     * Apply the last reverted edit again
+     * @returns {boolean} True when there was an edit to apply
+     */
+    redo() {
+        const step = this.#redo.pop()
+        if (!step) return false
+        this.#undo.push(step)
+        this.#show("redo", step.after, step.selected)
+        return true
+    }
+
+    /**
+     * Forget all edits, e.g. after the lines were changed elsewhere
+     */
+    clearHistory() {
+        this.#undo = []
+        this.#redo = []
+    }
+
+    /**
+     * Split a line into an upper and a lower half, read one after the
+     * other. Text with a line break is split there; otherwise it stays
+     * with the upper half.
+     * @param {number} index - Index of the line
+     * @returns {boolean} True when the line was split
+     */
+    split(index) {
+        const annotations = this.ui.currentAnnotations
+        const anno = annotations[index]
+        if (!anno || !this.ui.structuralEdits) return false
+
+        const rect = this.#rectOf(anno)
+        if (rect.h < MIN_SIZE * 2) return false
+
+        const upperHeight = Math.round(rect.h / 2)
+        const [upperText, lowerText = ""] = String(anno.text ?? "").split(/\r?\n/, 2)
+        const upper = annotations.map((line, position) => position === index
+            ? this.#withRect({ ...anno, text: upperText }, { ...rect, h: upperHeight })
+            : line)
+        const lower = this.#createLine({ ...rect, y: rect.y + upperHeight, h: rect.h - upperHeight }, { layer: anno.layer, text: lowerText })
+        this.#commit("split", this.#readAfter(upper, lower, index), index)
+        return true
+    }
+
+    /**
+     * Merge a line with the one read after it, in the UI's reading order.
+     * The merged line keeps the first line's id and place and covers both
+     * boxes; their text is joined with a space.
+     * @param {number} index - Index of the first line
+     * @returns {boolean} True when the lines were merged
+     */
+    merge(index) {
+        const annotations = this.ui.currentAnnotations
+        const position = this.ui.lineOrder.indexOf(index)
+        const next = position === -1 ? -1 : this.ui.lineOrder[position + 1] ?? -1
+        const [first, second] = [annotations[index], annotations[next]]
+        if (!first || !second || !this.ui.structuralEdits) return false
+
+        const a = this.#rectOf(first)
+        const b = this.#rectOf(second)
+        const merged = this.#normalize(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.max(a.x + a.w, b.x + b.w), Math.max(a.y + a.h, b.y + b.h))
+        const text = [first.text, second.text].filter(Boolean).join(" ")
+
+        const after = annotations
+            .map((anno, position) => position === index ? this.#withRect({ ...first, text }, merged) : anno)
+            .filter((anno, position) => position !== next)
+        this.#commit("merge", after, next < index ? index - 1 : index)
+        return true
+    }
+
+    /**
+     * Add a new line, read after another. It follows that line in the list
+     * and, when the parent gave the reading order as line ids, in that
+     * order too; in the other orders its box decides where it is read.
+     * @param {Array<Object>} annotations - Current annotations
+     * @param {Object} line - The new line
+     * @param {number} previous - Index of the line read before it, or -1 to read it first
+     * @returns {Array<Object>} Annotations with the new line
+     */
+    #readAfter(annotations, line, previous) {
+        const order = this.ui.readingOrderMode
+        if (Array.isArray(order)) {
+            const ids = order.map(String)
+            const rank = previous === -1 ? -1 : ids.indexOf(String(annotations[previous].lineid))
+            if (previous === -1 || rank !== -1) {
+                ids.splice(rank + 1, 0, line.lineid)
+                this.ui.setReadingOrder(ids)
+            }
+        }
+
+        const after = [...annotations]
+        after.splice(previous + 1, 0, line)
+        return after
+    }
+
+    /**
+     * The line a new box is read after, from the boxes' layout in the
+     * current reading order, or in `auto` order when that is not a layout
+     * @param {Array<Object>} annotations - Current annotations
+     * @param {Object} line - The new line
+     * @returns {number} Index of the line read before it, or -1 when it is read first
+     */
+    #previousInLayout(annotations, line) {
+        const mode = this.ui.readingOrderMode
+        const layout = READING_ORDERS.includes(mode) && mode !== "source" ? mode : "auto"
+        const order = this.ui.readingOrder.sort([...annotations, line], this.ui.overlaySize, layout)
+        const rank = order.indexOf(annotations.length)
+        return rank > 0 ? order[rank - 1] : -1
+    }
+
+    /**
+     * Compare two lists of annotations by line id
+     * @param {Array<Object>} before - Annotations before an edit
+     * @param {Array<Object>} after - Annotations after it
+     * @returns {Array<Object>} Changes {action: 'create'|'update'|'delete', annotation}
+     */
+    static diff(before, after) {
+        const previous = new Map(before.map(anno => [anno.lineid, anno]))
+        const current = new Set(after.map(anno => anno.lineid))
+
+        return [
+            ...after
+                .filter(anno => previous.get(anno.lineid) !== anno)
+                .map(anno => ({ action: previous.has(anno.lineid) ? "update" : "create", annotation: anno })),
+            ...before
+                .filter(anno => !current.has(anno.lineid))
+                .map(anno => ({ action: "delete", annotation: anno }))
+        ]
+    }
+
+    /**
+     * Record an edit and show it
+     * @param {string} operation - `move`, `resize`, `draw`, `split` or `merge`
+     * @param {Array<Object>} after - Annotations after the edit
+     * @param {number} selected - Index of the line to select afterwards
+     */
+    #commit(operation, after, selected) {
+        this.#undo.push({ before: this.ui.currentAnnotations, after, selected })
+        this.#redo = []
+        this.#show(operation, after, selected)
+    }
+
+    #show(operation, annotations, selected) {
+        const before = this.ui.currentAnnotations
+        this.ui.replaceAnnotations(annotations)
+        this.ui.highlightAnnotation(Math.min(selected, annotations.length - 1), { scroll: false })
+        this.onChange?.(operation, before, annotations)
+    }
+
+    /**
+     * Line bounds in canvas pixels
+     * @param {Object} anno - Normalized annotation
+     * @returns {Object} {x, y, w, h}
+     */
+    #rectOf(anno) {
+        const { width, height } = this.ui.overlaySize
+        const shape = this.ui.dataService.parseSelector(anno.target, width, height)
+            ?? this.ui.dataService.parseXYWH(anno.target, width, height)
+        return { x: shape.x, y: shape.y, w: shape.w, h: shape.h }
+    }
+
+    #withRect(anno, { x, y, w, h }) {
+        const values = [x, y, w, h].map(Math.round)
+        return { ...anno, target: `xywh=${values.join(",")}` }
+    }
+
+    /**
+     * A new, empty line. Its id is a URN until the parent stores it.
+     * @param {Object} rect - Bounds in canvas pixels
+     * @param {Object} [fields] - `layer` and `text` of the line
+     * @returns {Object} Normalized annotation
+     */
+    #createLine(rect, { layer = null, text = "" } = {}) {
+        return this.#withRect({
+            lineid: `urn:uuid:${crypto.randomUUID()}`,
+            text,
+            motivation: [],
+            tags: [],
+            styleClass: null,
+            stylesheet: null,
+            layer
+        }, rect)
+    }
+
+    /**
+     * Bounds between two corners, kept on the canvas
+     */
+    #normalize(x1, y1, x2, y2) {
+        const { width, height } = this.ui.overlaySize
+        const clampX = (value) => Math.min(width, Math.max(0, value))
+        const clampY = (value) => Math.min(height, Math.max(0, value))
+        const [left, right] = [clampX(x1), clampX(x2)].sort((a, b) => a - b)
+        const [top, bottom] = [clampY(y1), clampY(y2)].sort((a, b) => a - b)
+        return { x: left, y: top, w: right - left, h: bottom - top }
+    }
+
+    /**
+     * Pointer position on the upright canvas, in canvas pixels. Measured on
+     * screen so a rotated, mirrored or zoomed view is accounted for.
+     * @param {PointerEvent} event - Pointer event
+     * @returns {Array<number>} Horizontal and vertical position
+     */
+    #toCanvasPoint(event) {
+        const rect = this.ui.surface.getBoundingClientRect()
+        const [x, y] = this.ui.imageAdjustments.toImagePoint(
+            (event.clientX - rect.left) / rect.width,
+            (event.clientY - rect.top) / rect.height
+        )
+        return [x * this.ui.overlaySize.width, y * this.ui.overlaySize.height]
+    }
+
+    /**
+     * Bounds while dragging
+     * @param {Object} gesture - Current drag
+     * @param {Array<number>} point - Pointer position in canvas pixels
+     * @returns {Object} {x, y, w, h}
+     */
+    #dragRect({ mode, start, rect }, [x, y]) {
+        if (mode === "draw") return this.#normalize(start[0], start[1], x, y)
+
+        const dx = x - start[0]
+        const dy = y - start[1]
+        if (mode === "move") {
+            const { width, height } = this.ui.overlaySize
+            return {
+                ...rect,
+                x: Math.min(width - rect.w, Math.max(0, rect.x + dx)),
+                y: Math.min(height - rect.h, Math.max(0, rect.y + dy))
+            }
+        }
+
+        let [left, top, right, bottom] = [rect.x, rect.y, rect.x + rect.w, rect.y + rect.h]
+        if (mode.includes("w")) left += dx
+        if (mode.includes("e")) right += dx
+        if (mode.includes("n")) top += dy
+        if (mode.includes("s")) bottom += dy
+        return this.#normalize(left, top, right, bottom)
+    }
+
+    /**
+     * Position an element over the canvas in percentages, as overlays are
+     */
+    #place(element, { x, y, w, h }) {
+        const { width, height } = this.ui.overlaySize
+        element.style.left = `${(x / width) * 100}%`
+        element.style.top = `${(y / height) * 100}%`
+        element.style.width = `${(w / width) * 100}%`
+        element.style.height = `${(h / height) * 100}%`
+    }
+
+    #listen(target, type, handler) {
+        target.addEventListener(type, handler)
+        this.#listeners.push([target, type, handler])
+    }
+
+    #onPointerDown(event) {
+        if (event.button !== 0 || !this.ui.overlaySize) return
+
+        const handle = event.target.closest('.editHandle')
+        const box = event.target.closest('.overlayBox')
+        let mode = null
+        if (this.drawing) mode = "draw"
+        else if (handle) mode = handle.dataset.handle
+        else if (box && box === this.#selected) mode = "move"
+        if (!mode) return
+
+        // Keeps pan & zoom from dragging the canvas at the same time
+        event.preventDefault()
+        event.stopPropagation()
+
+        const index = Number(this.#selected?.dataset.lineid)
+        this.#gesture = {
+            id: event.pointerId,
+            mode,
+            index,
+            start: this.#toCanvasPoint(event),
+            rect: mode === "draw" ? null : this.#rectOf(this.ui.currentAnnotations[index]),
+            bounds: null
+        }
+        this.ui.surface.setPointerCapture(event.pointerId)
+    }
+
+    #onPointerMove(event) {
+        const gesture = this.#gesture
+        if (!gesture || gesture.id !== event.pointerId) return
+
+        gesture.bounds = this.#dragRect(gesture, this.#toCanvasPoint(event))
+        if (gesture.mode === "draw") {
+            if (!this.#draft) {
+                this.#draft = document.createElement('div')
+                this.#draft.className = 'editDraft'
+                this.ui.surface.appendChild(this.#draft)
+            }
+            this.#place(this.#draft, gesture.bounds)
+        } else {
+            this.#place(this.#selected, gesture.bounds)
+        }
+    }
+
+    #onPointerUp(event, commit) {
+        const gesture = this.#gesture
+        if (!gesture || gesture.id !== event.pointerId) return
+        this.#gesture = null
+        this.#draft?.remove()
+        this.#draft = null
+
+        const bounds = gesture.bounds
+        const changed = commit && bounds && bounds.w >= MIN_SIZE && bounds.h >= MIN_SIZE &&
+            ["x", "y", "w", "h"].some(key => Math.round(bounds[key]) !== Math.round(gesture.rect?.[key] ?? NaN))
+        if (!changed) {
+            if (gesture.rect) this.#place(this.#selected, gesture.rect)
+            return
+        }
+
+        const annotations = this.ui.currentAnnotations
+        if (gesture.mode === "draw") {
+            const line = this.#createLine(bounds, { layer: annotations[0]?.layer ?? null })
+            const previous = this.#previousInLayout(annotations, line)
+            this.#commit("draw", this.#readAfter(annotations, line, previous), previous + 1)
+            return
+        }
+
+        const after = annotations.map((anno, index) => index === gesture.index ? this.#withRect(anno, bounds) : anno)
+        this.#commit(gesture.mode === "move" ? "move" : "resize", after, gesture.index)
+    }
+
+    #onKeyDown(event) {
+        if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return
+
+        if (event.key === "Escape" && this.drawing) {
+            this.setDrawing(false)
+            return
+        }
+        if (!(event.ctrlKey || event.metaKey)) return
+
+        const key = event.key.toLowerCase()
+        if (key === "z" && !event.shiftKey) {
+            event.preventDefault()
+            this.undo()
+        } else if ((key === "z" && event.shiftKey) || key === "y") {
+            event.preventDefault()
+            this.redo()
+        }
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * Line Search - Finds text in the lines loaded for a canvas and queries the
+ * IIIF Content Search service a manifest may declare.
+ */
+export class LineSearch {
+    /**
+     * @param {IIIFDataService} dataService - Used to fetch and normalize search results
+     */
+    constructor(dataService) {
+        this.dataService = dataService
+    }
+
+    /**
+     * Fold text for comparison. By default matching ignores case and
+     * diacritics, so `ysaie` finds `Ysaïe`.
+     * @param {string} text - Text to fold
+     * @param {Object} [options]
+     * @param {boolean} [options.caseSensitive] - Keep letter case
+     * @param {boolean} [options.diacriticSensitive] - Keep combining marks
+     * @returns {string} Folded text
+     */
+    normalize(text, { caseSensitive = false, diacriticSensitive = false } = {}) {
+        let folded = String(text ?? "")
+        if (!diacriticSensitive) folded = folded.normalize("NFD").replace(/\p{M}/gu, "")
+        if (!caseSensitive) folded = folded.toLocaleLowerCase()
+        return folded.normalize("NFC")
+    }
+
+    /**
+     * Find the lines whose text contains the query
+     * @param {Array<Object>} annotations - Normalized annotations {text, lineid}
+     * @param {string} query - Text to look for
+     * @param {Object} [options] - Matching options, see `normalize`
+     * @returns {Array<Object>} Hits {index, lineid, text, count} in line order
+     */
+    searchLines(annotations, query, options = {}) {
+        const needle = this.normalize(query, options).trim()
+        if (!needle) return []
+
+        return annotations.reduce((hits, anno, index) => {
+            const count = this.normalize(anno.text, options).split(needle).length - 1
+            if (count > 0) hits.push({ index, lineid: anno.lineid, text: anno.text, count })
+            return hits
+        }, [])
+    }
+
+    /**
+     * Find a IIIF Content Search (v1 or v2) service on a resource
+     * @param {Object} resource - Manifest or other IIIF resource
+     * @returns {string|null} Search service URL or null when none is declared
+     */
+    findSearchService(resource) {
+        const services = [resource?.service ?? []].flat()
+        const service = services.find(candidate => {
+            const type = candidate?.type ?? candidate?.["@type"] ?? ""
+            const profile = [candidate?.profile ?? []].flat().join(" ")
+            const context = [candidate?.["@context"] ?? []].flat().join(" ")
+            return /^SearchService[12]$/.test(type) ||
+                profile.includes("iiif.io/api/search/") ||
+                context.includes("iiif.io/api/search/")
+        })
+        return service?.id ?? service?.["@id"] ?? null
+    }
+
+    /**
+     * Query a Content Search service. Follows v1 `resources` and v2 `items`
+     * answers, including paged results through `next`.
+     * @param {string} serviceUrl - Search service URL
+     * @param {string} query - Text to look for
+     * @returns {Promise<Array<Object>>} Hits {canvasId, target, text}
+     */
+    async searchService(serviceUrl, query) {
+        const hits = []
+        const seen = new Set()
+        let next = `${serviceUrl}${serviceUrl.includes("?") ? "&" : "?"}q=${encodeURIComponent(query)}`
+
+        while (next && !seen.has(next)) {
+            seen.add(next)
+            const page = await this.dataService.getSpecificTypeData(next)
+            const annotations = page?.resources ?? page?.items ?? []
+
+            annotations.forEach(annotation => {
+                const { target, text } = this.dataService.normalizeAnnotation(annotation)
+                const rawTarget = [annotation?.target ?? annotation?.on].flat()[0]
+                hits.push({ canvasId: this.#canvasOf(rawTarget), target, text })
+            })
+
+            const nextPage = page?.next ?? page?.within?.next ?? page?.partOf?.next
+            next = typeof nextPage === "string" ? nextPage : nextPage?.id ?? nextPage?.["@id"]
+        }
+
+        return hits
+    }
+
+    /**
+     * Canvas id of a search hit target, without any media fragment
+     * @param {string|Object} target - Hit target
+     * @returns {string|null} Canvas id
+     */
+    #canvasOf(target) {
+        const source = typeof target === "string"
+            ? target
+            : target?.source?.id ?? target?.source ?? target?.full ?? target?.id ?? target?.["@id"]
+        return typeof source === "string" ? source.split("#")[0] : null
+    }
+}
@@ -0,0 +1,362 @@
+/**
+ * Local Files - Opening files from the user's computer
+ * Reads dropped or picked files: IIIF manifests, canvases and annotation
+ * pages (JSON), OCR output (ALTO, hOCR and PAGE XML) and images. OCR is
+ * turned into a canvas with a W3C AnnotationPage, so it is shown through
+ * the same path as IIIF data. Images are shown through object URLs and
+ * are matched to the OCR or IIIF resources that name them by file name.
+ */
+
+const JSON_FILE = /\.(json|jsonld)$/i
+const OCR_FILE = /\.(xml|alto|hocr|html?|xhtml)$/i
+
+export class LocalFiles {
+    #objectUrls = []
+    #canvases = new Map()
+
+    /**
+     * Read a set of files into what `PageViewer.loadPage` takes. Several
+     * OCR files or images become a manifest with one canvas each.
+     * @param {Array<File>} files - Files to open
+     * @param {Object} [current] - The page on screen, for annotation pages and OCR dropped without an image
+     * @param {string} [current.canvasId] - Id of the canvas on screen
+     * @param {Object} [current.manifest] - Manifest on screen
+     * @param {string} [current.imageUrl] - Image on screen
+     * @returns {Promise<Object>} {canvas, manifest, annotationPage}
+     * @throws {Error} When none of the files can be shown
+     */
+    async read(files, current = {}) {
+        // New images replace the ones opened before; without any, the page on screen keeps its image
+        if (files.some(file => file.type.startsWith("image/"))) this.release()
+
+        const images = new Map()
+        const resources = []
+        const ocr = []
+        for (const file of files) {
+            if (file.type.startsWith("image/")) {
+                images.set(file.name.toLowerCase(), this.#objectUrl(file))
+            } else if (JSON_FILE.test(file.name) || file.type.includes("json")) {
+                resources.push(this.#parseJson(await file.text(), file.name))
+            } else if (OCR_FILE.test(file.name) || /xml|html/.test(file.type)) {
+                ocr.push(this.parseOcr(await file.text(), file.name))
+            } else {
+                throw new Error(`${file.name} is not a manifest, annotation page, OCR file or image`)
+            }
+        }
+
+        const typeOf = (resource) => resource.type ?? resource["@type"]
+        const manifest = resources.find(resource => ["Manifest", "sc:Manifest"].includes(typeOf(resource)))
+        const canvas = resources.find(resource => ["Canvas", "sc:Canvas"].includes(typeOf(resource)))
+        const annotationPage = resources.find(resource => ["AnnotationPage", "sc:AnnotationList", "AnnotationCollection"].includes(typeOf(resource)))
+
+        if (manifest || canvas) {
+            // A manifest opens on the canvas its annotation page targets, or on its first canvas
+            const pageCanvas = annotationPage ? this.#targetCanvas(annotationPage) : null
+            const chosen = canvas ?? (pageCanvas ? { id: pageCanvas } : null)
+            return {
+                canvas: this.#useLocalImages(chosen ?? manifest, images),
+                manifest: chosen && manifest ? this.#useLocalImages(manifest, images) : null,
+                annotationPage: annotationPage ?? null
+            }
+        }
+
+        if (annotationPage && !ocr.length) {
+            const target = this.#targetCanvas(annotationPage) ?? current.canvasId
+            if (!target) throw new Error("Open the page the annotations belong to first")
+            return { canvas: this.#canvases.get(target) ?? target, manifest: current.manifest ?? null, annotationPage }
+        }
+
+        const canvases = []
+        for (const page of ocr) {
+            const imageUrl = this.#takeImage(images, page.imageName) ??
+                (images.size === 1 && ocr.length === 1 ? this.#takeImage(images, [...images.keys()][0]) : null) ??
+                (/^https?:/i.test(page.imageName ?? "") ? page.imageName : null) ??
+                (ocr.length === 1 ? current.imageUrl : null)
+            if (!imageUrl) throw new Error(`No image found for ${page.name}; open it together with the page image`)
+            canvases.push(await this.#ocrCanvas(page, imageUrl))
+        }
+        for (const [name, url] of images) {
+            canvases.push(await this.#imageCanvas(name, url))
+        }
+
+        if (!canvases.length) throw new Error("No files to open")
+        if (canvases.length === 1) return { canvas: canvases[0], manifest: null, annotationPage: null }
+        return {
+            canvas: canvases[0],
+            manifest: {
+                "@context": "http://iiif.io/api/presentation/3/context.json",
+                id: `urn:uuid:${crypto.randomUUID()}`,
+                type: "Manifest",
+                label: { none: ["Local files"] },
+                items: canvases
+            },
+            annotationPage: null
+        }
+    }
+
+    /**
+     * Read OCR lines from ALTO, PAGE XML or hOCR. Coordinates stay in the
+     * units of the file; `width` and `height` give the page size in them.
+     * @param {string} text - File contents
+     * @param {string} [name] - File name, for messages
+     * @returns {Object} {name, format, width, height, imageName, lines: [{text, rect, points}]}
+     * @throws {Error} When the file is none of the supported formats
+     */
+    parseOcr(text, name = "file") {
+        const xml = new DOMParser().parseFromString(text, "application/xml")
+        const root = xml.querySelector("parsererror") ? null : xml.documentElement
+        if (root?.localName === "alto") return { name, ...this.#parseAlto(xml) }
+        if (root?.localName === "PcGts") return { name, ...this.#parsePage(xml) }
+
+        const html = new DOMParser().parseFromString(text, "text/html")
+        if (html.querySelector(".ocr_page, .ocr_line")) return { name, ...this.#parseHocr(html) }
+
+        throw new Error(`${name} is not ALTO, PAGE XML or hOCR`)
+    }
+
+    /**
+     * Let go of the object URLs of opened images and the canvases showing them
+     */
+    release() {
+        this.#objectUrls.forEach(url => URL.revokeObjectURL(url))
+        this.#objectUrls = []
+        this.#canvases.clear()
+    }
+
+    #parseJson(text, name) {
+        try {
+            return JSON.parse(text)
+        } catch (error) {
+            throw new Error(`${name} is not valid JSON`)
+        }
+    }
+
+    #parseAlto(doc) {
+        const page = doc.querySelector("Page")
+        const number = (element, attribute) => Number(element?.getAttribute(attribute)) || 0
+
+        const lines = [...doc.querySelectorAll("TextLine")].map(line => {
+            const text = [...line.querySelectorAll("String")]
+                .map(string => string.getAttribute("CONTENT") ?? "")
+                .join(" ")
+            const polygon = this.#child(this.#child(line, "Shape"), "Polygon")?.getAttribute("POINTS")
+            return {
+                text,
+                rect: { x: number(line, "HPOS"), y: number(line, "VPOS"), w: number(line, "WIDTH"), h: number(line, "HEIGHT") },
+                points: polygon ? this.#pointList(polygon) : null
+            }
+        })
+
+        return {
+            format: "alto",
+            width: number(page, "WIDTH"),
+            height: number(page, "HEIGHT"),
+            imageName: doc.querySelector("sourceImageInformation > fileName")?.textContent.trim() || null,
+            lines
+        }
+    }
+
+    #parsePage(doc) {
+        const page = doc.querySelector("Page")
+
+        const lines = [...doc.querySelectorAll("TextLine")].map(line => {
+            const points = this.#pointList(this.#child(line, "Coords")?.getAttribute("points") ?? "")
+            return {
+                text: this.#child(this.#child(line, "TextEquiv"), "Unicode")?.textContent ?? "",
+                rect: this.#bounds(points),
+                points
+            }
+        }).filter(line => line.rect)
+
+        return {
+            format: "page",
+            width: Number(page?.getAttribute("imageWidth")) || 0,
+            height: Number(page?.getAttribute("imageHeight")) || 0,
+            imageName: page?.getAttribute("imageFilename") || null,
+            lines
+        }
+    }
+
+    #parseHocr(doc) {
+        const bbox = (element) => {
+            const match = element?.title.match(/bbox (\d+) (\d+) (\d+) (\d+)/)
+            if (!match) return null
+            const [x0, y0, x1, y1] = match.slice(1).map(Number)
+            return { x: x0, y: y0, w: x1 - x0, h: y1 - y0 }
+        }
+        const page = doc.querySelector(".ocr_page")
+        const pageBox = bbox(page)
+
+        const lines = [...doc.querySelectorAll(".ocr_line, .ocr_textfloat, .ocr_header, .ocr_caption")].map(line => {
+            const words = [...line.querySelectorAll(".ocrx_word")]
+            const text = words.length
+                ? words.map(word => word.textContent.trim()).filter(Boolean).join(" ")
+                : line.textContent.replace(/\s+/g, " ").trim()
+            return { text, rect: bbox(line), points: null }
+        }).filter(line => line.rect)
+
+        return {
+            format: "hocr",
+            width: pageBox?.w ?? 0,
+            height: pageBox?.h ?? 0,
+            imageName: page?.title.match(/image "([^"]+)"/)?.[1] ?? null,
+            lines
+        }
+    }
+
+    /**
+     * A canvas showing an image with the OCR lines as its annotations.
+     * The canvas takes the image's size; line coordinates are scaled from
+     * the OCR page to it, which also converts ALTO's mm10 and inch1200 units.
+     */
+    async #ocrCanvas(page, imageUrl) {
+        const size = await this.#imageSize(imageUrl).catch(() => null)
+        const width = size?.width || page.width
+        const height = size?.height || page.height
+        if (!width || !height) throw new Error(`${page.name} does not give the page size`)
+
+        const scaleX = page.width ? width / page.width : 1
+        const scaleY = page.height ? height / page.height : 1
+        const canvas = this.#canvas(page.name, imageUrl, width, height)
+        const round = (value) => Math.round(value)
+
+        canvas.annotations = [{
+            id: `urn:uuid:${crypto.randomUUID()}`,
+            type: "AnnotationPage",
+            label: { none: [`${page.name} (${page.format.toUpperCase()})`] },
+            items: page.lines.map(line => {
+                const { x, y, w, h } = line.rect
+                const selector = line.points
+                    ? {
+                        type: "SvgSelector",
+                        value: `<svg xmlns="http://www.w3.org/2000/svg"><polygon points="${line.points.map(([px, py]) => `${round(px * scaleX)},${round(py * scaleY)}`).join(" ")}"/></svg>`
+                    }
+                    : {
+                        type: "FragmentSelector",
+                        conformsTo: "http://www.w3.org/TR/media-frags/",
+                        value: `xywh=${[x * scaleX, y * scaleY, w * scaleX, h * scaleY].map(round).join(",")}`
+                    }
+                return {
+                    id: `urn:uuid:${crypto.randomUUID()}`,
+                    type: "Annotation",
+                    motivation: "transcribing",
+                    body: { type: "TextualBody", value: line.text, format: "text/plain" },
+                    target: { source: canvas.id, selector }
+                }
+            })
+        }]
+        return canvas
+    }
+
+    async #imageCanvas(name, imageUrl) {
+        const { width, height } = await this.#imageSize(imageUrl)
+        return this.#canvas(name, imageUrl, width, height)
+    }
+
+    #canvas(name, imageUrl, width, height) {
+        const id = `urn:uuid:${crypto.randomUUID()}`
+        const canvas = {
+            id,
+            type: "Canvas",
+            label: { none: [name] },
+            width,
+            height,
+            items: [{
+                id: `${id}/painting`,
+                type: "AnnotationPage",
+                items: [{
+                    id: `${id}/image`,
+                    type: "Annotation",
+                    motivation: "painting",
+                    body: { id: imageUrl, type: "Image", width, height },
+                    target: id
+                }]
+            }]
+        }
+        this.#canvases.set(id, canvas)
+        return canvas
+    }
+
+    /**
+     * Copy a IIIF resource with images named like a local file pointed at
+     * that file. Their image services are dropped, since they describe the
+     * remote image.
+     */
+    #useLocalImages(resource, images) {
+        if (!images.size || typeof resource !== "object") return resource
+
+        const copy = structuredClone(resource)
+        const visit = (value) => {
+            if (Array.isArray(value)) return value.forEach(visit)
+            if (!value || typeof value !== "object") return
+
+            const type = value.type ?? value["@type"]
+            const id = value.id ?? value["@id"]
+            if (["Image", "dctypes:Image"].includes(type) && typeof id === "string") {
+                const url = this.#takeImage(images, id, false)
+                if (url) {
+                    if ("id" in value) value.id = url
+                    if ("@id" in value) value["@id"] = url
+                    delete value.service
+                }
+            }
+            Object.values(value).forEach(visit)
+        }
+        visit(copy)
+        return copy
+    }
+
+    /**
+     * Object URL of a dropped image, found by the last segment of a path or URL
+     * @param {Map<string, string>} images - Object URLs by lowercase file name
+     * @param {string|null} reference - Path, URL or file name
+     * @param {boolean} [remove] - Stop offering the image to later resources
+     * @returns {string|null} Object URL
+     */
+    #takeImage(images, reference, remove = true) {
+        const name = String(reference ?? "").split(/[?#]/)[0].split(/[/\\]/).pop().toLowerCase()
+        const url = images.get(name) ?? null
+        if (url && remove) images.delete(name)
+        return url
+    }
+
+    #targetCanvas(annotationPage) {
+        const items = annotationPage.items ?? annotationPage.resources ?? []
+        const target = [items[0]?.target ?? items[0]?.on ?? []].flat()[0]
+        const source = typeof target === "string" ? target : target?.source ?? target?.full
+        const id = typeof source === "object" ? source?.id ?? source?.["@id"] : source
+        return typeof id === "string" ? id.split("#")[0] : null
+    }
+
+    #objectUrl(file) {
+        const url = URL.createObjectURL(file)
+        this.#objectUrls.push(url)
+        return url
+    }
+
+    #imageSize(url) {
+        const img = new Image()
+        img.src = url
+        return img.decode().then(() => ({ width: img.naturalWidth, height: img.naturalHeight }))
+    }
+
+    #child(element, name) {
+        return element ? [...element.children].find(child => child.localName === name) ?? null : null
+    }
+
+    #pointList(value) {
+        const numbers = String(value).match(/-?[\d.]+/g)?.map(Number) ?? []
+        const points = []
+        for (let i = 0; i + 1 < numbers.length; i += 2) points.push([numbers[i], numbers[i + 1]])
+        return points
+    }
+
+    #bounds(points) {
+        if (!points.length) return null
+        const xs = points.map(([x]) => x)
+        const ys = points.map(([, y]) => y)
+        const x = Math.min(...xs)
+        const y = Math.min(...ys)
+        return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y }
+    }
+}
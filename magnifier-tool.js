@@ -0,0 +1,87 @@
+/**
+ * Magnifier Tool - A lens that follows the pointer over the canvas image
+ * Loaded on demand when the user first asks for it, so the viewer has no
+ * dependency on it at startup.
+ */
+export class MagnifierTool extends HTMLElement {
+    #onPointerMove = (event) => this.#moveLens(event)
+
+    constructor() {
+        super()
+        this.imageElem = null
+        this.boundsOffset = 0
+        this.zoom = 2.5
+        this.size = 200
+        this.isMagnifierVisible = false
+    }
+
+    /**
+     * Prepare the lens element; it stays hidden until shown
+     */
+    render() {
+        this.className = 'magnifierLens'
+        this.hidden = true
+        this.setAttribute('aria-hidden', 'true')
+        this.style.width = `${this.size}px`
+        this.style.height = `${this.size}px`
+    }
+
+    /**
+     * Follow the pointer over the page
+     */
+    addEventListeners() {
+        document.addEventListener('pointermove', this.#onPointerMove)
+    }
+
+    disconnectedCallback() {
+        document.removeEventListener('pointermove', this.#onPointerMove)
+    }
+
+    showMagnifier() {
+        if (!this.imageElem) return
+        this.isMagnifierVisible = true
+        this.hidden = false
+        const src = this.imageElem.currentSrc || this.imageElem.src
+        this.style.backgroundImage = `url("${src.replace(/["\\]/g, '\\$&')}")`
+    }
+
+    hideMagnifier() {
+        this.isMagnifierVisible = false
+        this.hidden = true
+    }
+
+    /**
+     * Center the lens on the pointer and show the image under it magnified.
+     * The lens only follows the pointer within `boundsOffset` pixels of the image.
+     * @param {PointerEvent} event - Pointer movement
+     */
+    #moveLens(event) {
+        if (!this.isMagnifierVisible || !this.imageElem) return
+
+        const rect = this.imageElem.getBoundingClientRect()
+        const offset = this.boundsOffset
+        if (event.clientX < rect.left - offset || event.clientX > rect.right + offset ||
+            event.clientY < rect.top - offset || event.clientY > rect.bottom + offset) return
+
+        const x = event.clientX - rect.left
+        const y = event.clientY - rect.top
+        const half = this.size / 2
+
+        this.style.left = `${event.clientX - half}px`
+        this.style.top = `${event.clientY - half}px`
+        this.style.backgroundSize = `${rect.width * this.zoom}px ${rect.height * this.zoom}px`
+        this.style.backgroundPosition = `${half - x * this.zoom}px ${half - y * this.zoom}px`
+    }
+}
+
+if (!customElements.get('magnifier-tool')) {
+    customElements.define('magnifier-tool', MagnifierTool)
+}
+
+/**
+ * Show a magnifier over its image
+ * @param {MagnifierTool} magnifierTool - The magnifier to show
+ */
+export function showMagnifier(magnifierTool) {
+    magnifierTool.showMagnifier()
+}
@@ -1,13 +1,41 @@
 /**
  * Message Handler - Manages communication with parent window
  * Handles postMessage API communication for iframe integration
- * 
+ *
  * @author Priyal Patel @mepripri
  * @author Patrick Cuba @cubap
  */
+
+/**
+ * Version of the postMessage protocol spoken by this viewer. Every outgoing
+ * message carries it; incoming messages declaring a newer version are refused.
+ */
+export const PROTOCOL_VERSION = 1
+
+/**
+ * Message types accepted from the parent window
+ */
+const ACCEPTED_TYPES = [
+    "TPEN_CONTEXT", "UPDATE_CURRENT_LINE", "CANVAS_URL", "MANIFEST_CANVAS",
+    "SHOW_TRANSCRIPTION", "SEARCH", "SHOW_REGION",
+    "SET_OVERLAY_STYLE", "STYLE_ANNOTATIONS",
+    "ANNOTATION_UPDATED", "ANNOTATION_ADDED", "ANNOTATION_REMOVED", "ANNOTATIONS_REPLACED",
+    "SET_EDIT_MODE", "EXPORT", "SET_IMAGE_LAYER", "SET_READING_ORDER", "SET_FIT_MODE", "CLEAR_CACHE"
+]
+
 export class MessageHandler {
-    constructor(pageViewer) {
+    #messageCount = 0
+    #warnedOrigins = new Set()
+
+    /**
+     * @param {PageViewer} pageViewer - Viewer driven by incoming messages
+     * @param {Object} [options]
+     * @param {Array<string>} [options.allowedOrigins] - Origins allowed to talk to the viewer; `*` allows any
+     */
+    constructor(pageViewer, { allowedOrigins } = {}) {
         this.pageViewer = pageViewer
+        this.allowedOrigins = allowedOrigins?.length ? allowedOrigins : this.#defaultAllowedOrigins()
+        this.parentOrigin = null
         this.setupMessageListener()
     }
 
@@ -21,17 +49,126 @@ export class MessageHandler {
     }
 
     /**
-     * Handle incoming messages from parent window. Page-Viewer accepts the
-     * lean TPEN_CONTEXT boot payload (canvas/manifest/annotationPage URIs +
-     * currentLineId) and UPDATE_CURRENT_LINE deltas. Auth is not used.
+     * Origins trusted when none are passed to the constructor: the viewer's
+     * own origin and those listed in the `allowedOrigins` URL parameter
+     * (comma separated). The page framing the viewer is not trusted just
+     * for framing it.
+     * @returns {Array<string>} Allowed origins
+     */
+    #defaultAllowedOrigins() {
+        const configured = new URLSearchParams(window.location.search).get('allowedOrigins') ?? ""
+        return [window.location.origin, ...configured.split(',').map(origin => origin.trim()).filter(Boolean)]
+    }
+
+    /**
+     * Check an origin against the allowlist
+     * @param {string} origin - Origin of an incoming message
+     * @returns {boolean} True when the origin may talk to the viewer
+     */
+    isAllowedOrigin(origin) {
+        return this.allowedOrigins.includes("*") || this.allowedOrigins.includes(origin)
+    }
+
+    /**
+     * Target origin for outgoing messages: the origin the parent last wrote
+     * from, else the referrer's origin when allowed, else the first explicit
+     * allowlist entry.
+     * @returns {string|null} Target origin, or null when no trusted parent is known
+     */
+    #targetOrigin() {
+        if (this.parentOrigin) return this.parentOrigin
+
+        try {
+            const referrerOrigin = document.referrer ? new URL(document.referrer).origin : null
+            if (referrerOrigin && this.isAllowedOrigin(referrerOrigin)) return referrerOrigin
+        } catch (e) {
+            // Fall through to the allowlist
+        }
+
+        return this.allowedOrigins.find(origin => origin !== "*")
+            ?? (this.allowedOrigins.includes("*") ? "*" : null)
+    }
+
+    /**
+     * Post a message to the parent window. Every message carries the
+     * protocol version and its own id; replies name the request in `replyTo`.
+     * @param {string} type - Message type
+     * @param {Object} [payload] - Additional message fields
+     * @param {string|number|null} [replyTo] - Id of the request being answered
+     * @returns {string|null} Id of the posted message, or null when not embedded
+     */
+    post(type, payload = {}, replyTo = null) {
+        const targetOrigin = this.#targetOrigin()
+        if (!window.parent || window.parent === window || !targetOrigin) return null
+
+        const id = `page-viewer-${Date.now()}-${++this.#messageCount}`
+        const message = { ...payload, type, version: PROTOCOL_VERSION, id }
+        if (replyTo !== null && replyTo !== undefined) message.replyTo = replyTo
+
+        window.parent.postMessage(message, targetOrigin)
+        return id
+    }
+
+    /**
+     * Announce that the viewer is listening, with the protocol version and
+     * the message types it accepts.
+     */
+    announceReady() {
+        this.post("READY", { accepts: ACCEPTED_TYPES })
+    }
+
+    /**
+     * Handle incoming messages from parent window. Page-Viewer accepts:
+     * - TPEN_CONTEXT, the lean boot payload (canvas/manifest/annotationPage
+     *   URIs + currentLineId), and the CANVAS_URL and MANIFEST_CANVAS load
+     *   requests, answered with LOADED
+     * - UPDATE_CURRENT_LINE deltas
+     * - SHOW_TRANSCRIPTION panel toggles
+     * - SEARCH queries, answered with SEARCH_RESULTS
+     * - SHOW_REGION crops
+     * - SET_OVERLAY_STYLE and STYLE_ANNOTATIONS styling
+     * - ANNOTATION_UPDATED, ANNOTATION_ADDED, ANNOTATION_REMOVED and
+     *   ANNOTATIONS_REPLACED live edits, answered with ANNOTATIONS_CHANGED
+     * - SET_EDIT_MODE
+     * - EXPORT requests, answered with EXPORT_RESULT
+     * - SET_IMAGE_LAYER choices
+     * - SET_READING_ORDER and SET_FIT_MODE
+     * - CLEAR_CACHE, answered with CACHE_CLEARED
+     *
+     * Failures are answered with ERROR. Messages from origins outside the
+     * allowlist are dropped.
      * @param {MessageEvent} event - The message event
      */
     handleMessage(event) {
         if (!event.data?.type) return
 
-        switch (event.data.type) {
+        // Replies to the viewer's own IIIF Auth token requests are handled by IIIFAuth
+        if (this.pageViewer.dataService?.auth?.isTokenReply(event)) return
+
+        if (!this.isAllowedOrigin(event.origin)) {
+            // Once per origin: an embedder that is not listed otherwise only sees nothing happen
+            if (!this.#warnedOrigins.has(event.origin)) {
+                this.#warnedOrigins.add(event.origin)
+                console.warn(`[page-viewer] Ignoring messages from ${event.origin}, which is not an allowed origin. ` +
+                    `Add it to the viewer's allowedOrigins URL parameter (or constructor option) to embed the viewer there.`)
+            }
+            return
+        }
+
+        // Our own outgoing messages are never requests
+        if (event.source === window) return
+
+        this.parentOrigin = event.origin
+        const { type, id: requestId = null, version } = event.data
+
+        if (version > PROTOCOL_VERSION) {
+            this.post("ERROR", { message: `Unsupported protocol version ${version}`, requestType: type }, requestId)
+            return
+        }
+
+        switch (type) {
             case "TPEN_CONTEXT":
-                this.#handleTPENContext(event.data)
+                this.#handleTPENContext(event.data, requestId)
                 break
 
             case "UPDATE_CURRENT_LINE":
@@ -42,7 +179,95 @@ export class MessageHandler {
                 this.#handleLineNavigation(event.data.currentLineId)
                 break
 
+            case "CANVAS_URL":
+                this.#handleCanvasUrl(event.data, requestId)
+                break
+
+            case "MANIFEST_CANVAS":
+                this.#handleManifestCanvas(event.data, requestId)
+                break
+
+            case "SHOW_TRANSCRIPTION":
+                this.pageViewer.uiManager.setTranscriptionPanel(event.data.visible ?? true)
+                break
+
+            case "SEARCH":
+                this.pageViewer.search(String(event.data.query ?? ""), {
+                    caseSensitive: Boolean(event.data.caseSensitive),
+                    diacriticSensitive: Boolean(event.data.diacriticSensitive)
+                }, requestId)
+                break
+
+            case "SHOW_REGION":
+                this.#handleShowRegion(event.data)
+                break
+
+            case "SET_OVERLAY_STYLE":
+                this.pageViewer.uiManager.setOverlayStyle(event.data.style)
+                break
+
+            case "STYLE_ANNOTATIONS":
+                if (!Array.isArray(event.data.styles)) {
+                    this.post("ERROR", { message: "STYLE_ANNOTATIONS missing styles", requestType: type }, requestId)
+                    break
+                }
+                this.pageViewer.uiManager.styleAnnotations(event.data.styles, { replace: Boolean(event.data.replace) })
+                break
+
+            case "ANNOTATION_UPDATED":
+                this.pageViewer.updateAnnotation(event.data.annotation, requestId)
+                break
+
+            case "ANNOTATION_ADDED":
+                this.pageViewer.addAnnotation(event.data.annotation, {
+                    index: event.data.index,
+                    layer: event.data.layer ?? null
+                }, requestId)
+                break
+
+            case "ANNOTATION_REMOVED":
+                this.pageViewer.removeAnnotation(event.data.annotationId ?? event.data.annotation, requestId)
+                break
+
+            case "ANNOTATIONS_REPLACED":
+                this.pageViewer.replaceAnnotations(event.data, requestId)
+                break
+
+            case "SET_EDIT_MODE":
+                this.pageViewer.setEditMode(event.data.enabled ?? true, { save: event.data.save })
+                break
+
+            case "EXPORT":
+                this.#handleExport(event.data, requestId)
+                break
+
+            case "SET_FIT_MODE":
+                this.pageViewer.uiManager.setFitMode(event.data.mode)
+                break
+
+            case "SET_READING_ORDER":
+                this.pageViewer.uiManager.setReadingOrder(event.data.order)
+                break
+
+            case "CLEAR_CACHE":
+                this.pageViewer.clearCache(requestId)
+                break
+
+            case "SET_IMAGE_LAYER":
+                try {
+                    this.pageViewer.uiManager.setPaintingLayer(event.data.layer ?? 0, {
+                        choice: event.data.choice,
+                        opacity: event.data.opacity
+                    })
+                } catch (error) {
+                    this.post("ERROR", { message: error.message, requestType: type }, requestId)
+                }
+                break
+
             default:
+                if (requestId !== null) {
+                    this.post("ERROR", { message: `Unsupported message type ${type}`, requestType: type }, requestId)
+                }
                 break
         }
     }
@@ -50,12 +275,69 @@ export class MessageHandler {
     /**
      * Handle TPEN context message. Loads the active canvas; the current line
      * (if any) rides along on `loadPage`, which highlights the matching
-     * overlay box once annotations have rendered.
+     * overlay box once annotations have rendered. An `idToken` is kept for
+     * the T-PEN adapter's requests.
      * @param {Object} data - TPEN context data
+     * @param {string|number|null} requestId - Id to answer with LOADED/ERROR
      */
-    #handleTPENContext(data) {
+    #handleTPENContext(data, requestId) {
+        if ("idToken" in data) this.pageViewer.setIdToken(data.idToken)
         if (!data.canvas) return
-        this.pageViewer.loadPage(data.canvas, data.manifest, data.annotationPage, data.currentLineId)
+        this.pageViewer.loadPage(data.canvas, data.manifest, data.annotationPage, data.currentLineId, { requestId })
+    }
+
+    /**
+     * Load a canvas URL. The URL may also name a manifest, optionally with a
+     * `#canvas-id` fragment choosing the canvas.
+     * @param {Object} data - Message data with `canvasUrl`
+     * @param {string|number|null} requestId - Id to answer with LOADED/ERROR
+     */
+    #handleCanvasUrl(data, requestId) {
+        if (!data.canvasUrl) {
+            this.post("ERROR", { message: "CANVAS_URL missing canvasUrl", requestType: data.type }, requestId)
+            return
+        }
+        this.pageViewer.loadPage(data.canvasUrl, null, null, null, { requestId })
+    }
+
+    /**
+     * Load a canvas from a manifest; the first canvas when `canvasId` is omitted.
+     * @param {Object} data - Message data with `manifestUrl` and optional `canvasId`
+     * @param {string|number|null} requestId - Id to answer with LOADED/ERROR
+     */
+    #handleManifestCanvas(data, requestId) {
+        if (!data.manifestUrl) {
+            this.post("ERROR", { message: "MANIFEST_CANVAS missing manifestUrl", requestType: data.type }, requestId)
+            return
+        }
+        this.pageViewer.loadPage(data.canvasId ?? data.manifestUrl, data.manifestUrl, null, null, { requestId })
+    }
+
+    /**
+     * Crop the view to a region, or to a line when `annotation` names one.
+     * A missing region shows the whole canvas again.
+     * @param {Object} data - Message data with `region` (`x,y,w,h`, `pct:x,y,w,h` or
+     *   `annotation`), or `annotation` (a line id), and an optional `padding` in canvas pixels
+     */
+    #handleShowRegion(data) {
+        const uiManager = this.pageViewer.uiManager
+        if (data.annotation) uiManager.highlightAnnotation(data.annotation, { scroll: false })
+        uiManager.setRegion(data.annotation ? "annotation" : data.region ?? null, { padding: Number(data.padding) })
+    }
+
+    /**
+     * Export the current page and answer with EXPORT_RESULT. Images are sent
+     * as Blobs, every other format as text.
+     * @param {Object} data - Message data with `format` and an optional JPEG `quality`
+     * @param {string|number|null} requestId - Id to answer with EXPORT_RESULT/ERROR
+     */
+    async #handleExport(data, requestId) {
+        try {
+            const result = await this.pageViewer.exportPage(String(data.format ?? ""), { quality: data.quality })
+            this.post("EXPORT_RESULT", result, requestId)
+        } catch (error) {
+            this.post("ERROR", { message: error.message, requestType: "EXPORT" }, requestId)
+        }
     }
 
     /**
@@ -0,0 +1,289 @@
+/**
+ * Page Export - The current page as files to share or reuse
+ * Builds an image of the canvas with its line boxes burned in, a W3C
+ * AnnotationPage, plain text, and ALTO or PAGE XML from the lines on
+ * screen. Coordinates in the XML formats are canvas pixels.
+ */
+
+const ALTO_NS = "http://www.loc.gov/standards/alto/ns-v4#"
+const PAGE_NS = "http://schema.primaresearch.org/PAGE/gts/pagecontent/2019-07-15"
+
+/**
+ * Export formats by name, with the media type and file extension of each
+ */
+export const EXPORT_FORMATS = {
+    png: { mimeType: "image/png", extension: "png" },
+    jpeg: { mimeType: "image/jpeg", extension: "jpg" },
+    annotations: { mimeType: "application/ld+json", extension: "json" },
+    text: { mimeType: "text/plain", extension: "txt" },
+    alto: { mimeType: "application/xml", extension: "alto.xml" },
+    page: { mimeType: "application/xml", extension: "page.xml" }
+}
+
+export class PageExporter {
+    /**
+     * @param {IIIFDataService} dataService - Used to read line shapes and write W3C annotations
+     */
+    constructor(dataService) {
+        this.dataService = dataService
+    }
+
+    /**
+     * The lines as a W3C AnnotationPage
+     * @param {Array<Object>} annotations - Normalized annotations
+     * @param {string} canvasId - Canvas the lines belong to
+     * @returns {Object} AnnotationPage
+     */
+    annotationPage(annotations, canvasId) {
+        return {
+            "@context": "http://www.w3.org/ns/anno.jsonld",
+            type: "AnnotationPage",
+            partOf: canvasId,
+            items: annotations.map(anno => this.dataService.serializeAnnotation(anno, canvasId))
+        }
+    }
+
+    /**
+     * The text of each line on its own line
+     * @param {Array<Object>} annotations - Normalized annotations
+     * @returns {string} Plain text
+     */
+    text(annotations) {
+        return annotations.map(anno => String(anno.text ?? "").replace(/\r?\n/g, " ")).join("\n") + "\n"
+    }
+
+    /**
+     * ALTO v4 with one TextBlock per run of lines from the same layer
+     * @param {Array<Object>} annotations - Normalized annotations
+     * @param {Object} page - Canvas {width, height} and the `imageUrl` it shows
+     * @returns {string} ALTO XML
+     */
+    alto(annotations, { width, height, imageUrl = null }) {
+        const doc = document.implementation.createDocument(ALTO_NS, "alto", null)
+        const element = (name, attributes = {}, parent = null) => {
+            const node = doc.createElementNS(ALTO_NS, name)
+            Object.entries(attributes).forEach(([key, value]) => node.setAttribute(key, String(value)))
+            parent?.appendChild(node)
+            return node
+        }
+        const position = ({ x, y, w, h }) => ({ HPOS: Math.round(x), VPOS: Math.round(y), WIDTH: Math.round(w), HEIGHT: Math.round(h) })
+
+        const description = element("Description", {}, doc.documentElement)
+        element("MeasurementUnit", {}, description).textContent = "pixel"
+        if (imageUrl) {
+            const source = element("sourceImageInformation", {}, description)
+            element("fileName", {}, source).textContent = imageUrl
+        }
+
+        const layout = element("Layout", {}, doc.documentElement)
+        const pageSize = { x: 0, y: 0, w: width, h: height }
+        const page = element("Page", { ID: "page_1", PHYSICAL_IMG_NR: 1, WIDTH: Math.round(width), HEIGHT: Math.round(height) }, layout)
+        const printSpace = element("PrintSpace", position(pageSize), page)
+
+        this.#blocks(annotations, width, height).forEach((block, blockIndex) => {
+            const textBlock = element("TextBlock", { ID: `block_${blockIndex + 1}`, ...position(block.bounds) }, printSpace)
+            block.lines.forEach(({ anno, shape, index }) => {
+                const textLine = element("TextLine", { ID: `line_${index + 1}`, ...position(shape) }, textBlock)
+                if (shape.points) {
+                    const outline = element("Shape", {}, textLine)
+                    element("Polygon", { POINTS: this.#points(shape).map(point => point.join(",")).join(" ") }, outline)
+                }
+                element("String", { ID: `string_${index + 1}`, CONTENT: anno.text ?? "", ...position(shape) }, textLine)
+            })
+        })
+
+        return this.#serialize(doc)
+    }
+
+    /**
+     * PAGE XML (2019 schema) with one TextRegion per run of lines from the same layer
+     * @param {Array<Object>} annotations - Normalized annotations
+     * @param {Object} page - Canvas {width, height} and the `imageUrl` it shows
+     * @returns {string} PAGE XML
+     */
+    pageXml(annotations, { width, height, imageUrl = null }) {
+        const doc = document.implementation.createDocument(PAGE_NS, "PcGts", null)
+        const element = (name, attributes = {}, parent = null) => {
+            const node = doc.createElementNS(PAGE_NS, name)
+            Object.entries(attributes).forEach(([key, value]) => node.setAttribute(key, String(value)))
+            parent?.appendChild(node)
+            return node
+        }
+        const coords = (shape, parent) => element("Coords", {
+            points: this.#points(shape).map(point => point.join(",")).join(" ")
+        }, parent)
+        const textEquiv = (text, parent) => {
+            const equiv = element("TextEquiv", {}, parent)
+            element("Unicode", {}, equiv).textContent = text
+        }
+
+        const now = new Date().toISOString()
+        const metadata = element("Metadata", {}, doc.documentElement)
+        element("Creator", {}, metadata).textContent = "page-viewer"
+        element("Created", {}, metadata).textContent = now
+        element("LastChange", {}, metadata).textContent = now
+
+        const page = element("Page", {
+            imageFilename: imageUrl ?? "",
+            imageWidth: Math.round(width),
+            imageHeight: Math.round(height)
+        }, doc.documentElement)
+
+        this.#blocks(annotations, width, height).forEach((block, blockIndex) => {
+            const region = element("TextRegion", { id: `region_${blockIndex + 1}` }, page)
+            coords(block.bounds, region)
+            block.lines.forEach(({ anno, shape, index }) => {
+                const line = element("TextLine", { id: `line_${index + 1}` }, region)
+                coords(shape, line)
+                textEquiv(anno.text ?? "", line)
+            })
+            textEquiv(block.lines.map(({ anno }) => anno.text ?? "").join("\n"), region)
+        })
+
+        return this.#serialize(doc)
+    }
+
+    /**
+     * Draw the image as it is shown, with rotation, mirroring, filters and a
+     * cropped region applied, painting layers composited at their opacity,
+     * and the line boxes drawn over it. Image servers must allow
+     * cross-origin use or the browser refuses the export. Without a base
+     * image the page is drawn at canvas size on white.
+     * @param {Object} view - {src, opacity, width, height, region, adjustments,
+     *   layers: [{src, region, opacity}], lines: [{anno, color, fill}]}
+     * @param {Object} [options]
+     * @param {string} [options.type] - `image/png` or `image/jpeg`
+     * @param {number} [options.quality] - JPEG quality between 0 and 1
+     * @returns {Promise<Blob>} Image file
+     */
+    async image({ src, opacity = 1, width, height, region = null, adjustments, layers = [], lines = [] }, { type = "image/png", quality = 0.92 } = {}) {
+        const [img, ...layerImages] = await Promise.all([
+            src ? this.#loadImage(src) : null,
+            ...layers.map(layer => this.#loadImage(layer.src))
+        ])
+        const scaleX = img ? img.naturalWidth / width : 1
+        const scaleY = img ? img.naturalHeight / height : 1
+        const crop = region ?? { x: 0, y: 0, w: width, h: height }
+        const cropWidth = Math.max(1, Math.round(crop.w * scaleX))
+        const cropHeight = Math.max(1, Math.round(crop.h * scaleY))
+
+        const output = document.createElement("canvas")
+        output.width = adjustments.isQuarterTurn ? cropHeight : cropWidth
+        output.height = adjustments.isQuarterTurn ? cropWidth : cropHeight
+        const context = output.getContext("2d")
+
+        // Mirror first, then rotate, as the IIIF Image API does
+        context.translate(output.width / 2, output.height / 2)
+        context.rotate((adjustments.rotation * Math.PI) / 180)
+        if (adjustments.mirror) context.scale(-1, 1)
+        context.translate(-cropWidth / 2, -cropHeight / 2)
+
+        if (!img || opacity < 1) {
+            context.fillStyle = "white"
+            context.fillRect(0, 0, cropWidth, cropHeight)
+        }
+        context.filter = adjustments.filter
+        context.globalAlpha = opacity
+        if (img) context.drawImage(img, crop.x * scaleX, crop.y * scaleY, cropWidth, cropHeight, 0, 0, cropWidth, cropHeight)
+
+        // Layers and lines are drawn in canvas pixels, so the canvas-to-image scale goes on the context
+        context.scale(scaleX, scaleY)
+        context.translate(-crop.x, -crop.y)
+        layers.forEach((layer, index) => {
+            const { x, y, w, h } = layer.region ?? { x: 0, y: 0, w: width, h: height }
+            context.globalAlpha = layer.opacity ?? 1
+            context.drawImage(layerImages[index], x, y, w, h)
+        })
+        context.globalAlpha = 1
+        context.filter = "none"
+
+        context.lineWidth = Math.max(2, Math.round(cropWidth / 600)) / scaleX
+        lines.forEach(({ anno, color, fill }) => {
+            const shape = this.#shapeOf(anno, width, height)
+            if (!shape) return
+            const path = shape.type === "path" ? new Path2D(shape.d) : new Path2D()
+            if (shape.type !== "path") {
+                const [first, ...rest] = this.#points(shape)
+                path.moveTo(...first)
+                rest.forEach(point => path.lineTo(...point))
+                path.closePath()
+            }
+            if (fill) {
+                context.fillStyle = fill
+                context.fill(path)
+            }
+            context.strokeStyle = color
+            context.stroke(path)
+        })
+
+        return new Promise((resolve, reject) => {
+            try {
+                output.toBlob(blob => blob ? resolve(blob) : reject(new Error("The image could not be encoded")), type, quality)
+            } catch (error) {
+                reject(new Error(`The image server does not allow exporting this image: ${error.message}`))
+            }
+        })
+    }
+
+    /**
+     * Group consecutive lines of the same layer, with the bounds of each group
+     * @returns {Array<Object>} Blocks {bounds, lines: [{anno, shape, index}]}
+     */
+    #blocks(annotations, width, height) {
+        const blocks = []
+        annotations.forEach((anno, index) => {
+            const shape = this.#shapeOf(anno, width, height)
+            if (!shape) return
+            let block = blocks.at(-1)
+            if (!block || block.layer !== (anno.layer ?? null)) {
+                block = { layer: anno.layer ?? null, lines: [] }
+                blocks.push(block)
+            }
+            block.lines.push({ anno, shape, index })
+        })
+
+        return blocks.map(block => {
+            const shapes = block.lines.map(line => line.shape)
+            const left = Math.min(...shapes.map(shape => shape.x))
+            const top = Math.min(...shapes.map(shape => shape.y))
+            const right = Math.max(...shapes.map(shape => shape.x + shape.w))
+            const bottom = Math.max(...shapes.map(shape => shape.y + shape.h))
+            return { ...block, bounds: { x: left, y: top, w: right - left, h: bottom - top } }
+        })
+    }
+
+    #shapeOf(anno, width, height) {
+        if (!anno?.target) return null
+        return this.dataService.parseSelector(anno.target, width, height)
+            ?? { type: "rect", ...this.dataService.parseXYWH(anno.target, width, height) }
+    }
+
+    /**
+     * Outline of a shape as whole-pixel points; rectangles and paths use their bounds
+     * @param {Object} shape - Parsed shape
+     * @returns {Array<Array<number>>} Points
+     */
+    #points(shape) {
+        const points = shape.points ?? [
+            [shape.x, shape.y],
+            [shape.x + shape.w, shape.y],
+            [shape.x + shape.w, shape.y + shape.h],
+            [shape.x, shape.y + shape.h]
+        ]
+        return points.map(point => point.map(Math.round))
+    }
+
+    #serialize(doc) {
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(doc)}\n`
+    }
+
+    #loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image()
+            img.crossOrigin = "anonymous"
+            img.onload = () => resolve(img)
+            img.onerror = () => reject(new Error("The image could not be loaded for export"))
+            img.src = src
+        })
+    }
+}
@@ -0,0 +1,146 @@
+/**
+ * Reading Order - The order lines are read in
+ * Keeps the order of the AnnotationPage, follows a list of line ids given
+ * by the host, or infers columns and reading order from the line boxes.
+ * Inference cuts the page recursively: first into columns at vertical gaps
+ * that run through every line, otherwise into bands at horizontal gaps,
+ * keeping neighbouring bands with the same columns together so a heading
+ * over two columns does not interleave them.
+ */
+
+/**
+ * Reading orders by name: `source` keeps the AnnotationPage order,
+ * `ltr` and `rtl` read columns left-to-right or right-to-left, `ttb` reads
+ * top-to-bottom across the page, and `auto` picks `ltr` or `rtl` from the text
+ */
+export const READING_ORDERS = ["source", "auto", "ltr", "rtl", "ttb"]
+
+/**
+ * Letters of right-to-left scripts: Hebrew, Arabic, Syriac, Thaana, N'Ko and Samaritan
+ */
+const RTL_LETTERS = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/g
+
+export class ReadingOrder {
+    /**
+     * @param {IIIFDataService} dataService - Used to read line shapes
+     */
+    constructor(dataService) {
+        this.dataService = dataService
+    }
+
+    /**
+     * Sort lines into reading order. Lines without a box follow the others
+     * in page order; with a list of ids, unlisted lines do the same.
+     * @param {Array<Object>} annotations - Normalized annotations
+     * @param {Object} page - Canvas {width, height}, for `pct:` targets
+     * @param {string|Array<string>} [order] - A name from `READING_ORDERS`, or line ids in reading order
+     * @returns {Array<number>} Annotation indexes in reading order
+     */
+    sort(annotations, { width, height } = {}, order = "source") {
+        const indexes = annotations.map((anno, index) => index)
+
+        if (Array.isArray(order)) {
+            const ranks = new Map(order.map((id, rank) => [String(id), rank]))
+            const rank = (index) => ranks.get(String(annotations[index].lineid)) ?? Infinity
+            return indexes.sort((a, b) => rank(a) - rank(b) || a - b)
+        }
+        if (!READING_ORDERS.includes(order) || order === "source") return indexes
+
+        const lines = []
+        const unplaced = []
+        indexes.forEach(index => {
+            const bounds = this.#bounds(annotations[index], width, height)
+            bounds ? lines.push({ index, ...bounds }) : unplaced.push(index)
+        })
+
+        const direction = order === "auto" ? this.direction(annotations) : order
+        const sorted = direction === "ttb" ? this.#rows(lines, "ltr") : this.#blocks(lines, direction)
+        return [...sorted.map(line => line.index), ...unplaced]
+    }
+
+    /**
+     * Guess the writing direction from the text of the lines
+     * @param {Array<Object>} annotations - Normalized annotations
+     * @returns {string} `rtl` when most letters belong to right-to-left scripts, else `ltr`
+     */
+    direction(annotations) {
+        const text = annotations.map(anno => anno.text ?? "").join("")
+        const letters = text.match(/\p{L}/gu)?.length ?? 0
+        const rtl = text.match(RTL_LETTERS)?.length ?? 0
+        return letters && rtl > letters / 2 ? "rtl" : "ltr"
+    }
+
+    /**
+     * Order a set of lines by columns, then by bands of lines sharing a layout
+     * @param {Array<Object>} lines - Lines {index, x, y, w, h}
+     * @param {string} direction - `ltr` or `rtl`
+     * @returns {Array<Object>} The lines in reading order
+     */
+    #blocks(lines, direction) {
+        if (lines.length < 2) return lines
+
+        const columns = this.#split(lines, "x")
+        if (columns.length > 1) {
+            if (direction === "rtl") columns.reverse()
+            return columns.flatMap(column => this.#blocks(column, direction))
+        }
+
+        // No gap runs through every line: stack bands, joining those that share columns
+        const groups = []
+        this.#split(lines, "y").forEach(band => {
+            const group = groups.at(-1)
+            const columned = this.#split(band, "x").length > 1
+            const joins = group?.columned === columned &&
+                (!columned || this.#split([...group.lines, ...band], "x").length > 1)
+            joins ? group.lines.push(...band) : groups.push({ columned, lines: [...band] })
+        })
+
+        return groups.flatMap(group => group.columned ? this.#blocks(group.lines, direction) : this.#rows(group.lines, direction))
+    }
+
+    /**
+     * Split lines at the gaps in their projection on one axis
+     * @param {Array<Object>} lines - Lines {x, y, w, h}
+     * @param {string} axis - `x` for columns, `y` for bands
+     * @returns {Array<Array<Object>>} Groups of lines, from left or top
+     */
+    #split(lines, axis) {
+        const size = axis === "x" ? "w" : "h"
+        const groups = []
+        const sorted = [...lines].sort((a, b) => a[axis] - b[axis])
+        let end = -Infinity
+        sorted.forEach(line => {
+            if (line[axis] > end) groups.push([])
+            groups.at(-1).push(line)
+            end = Math.max(end, line[axis] + line[size])
+        })
+        return groups
+    }
+
+    /**
+     * Read lines top to bottom; lines whose middle falls within the line
+     * that starts a row are read across that row
+     * @param {Array<Object>} lines - Lines {x, y, w, h}
+     * @param {string} direction - `ltr` or `rtl`
+     * @returns {Array<Object>} The lines in reading order
+     */
+    #rows(lines, direction) {
+        const middle = (line) => line.y + line.h / 2
+        const rows = []
+        const sorted = [...lines].sort((a, b) => middle(a) - middle(b))
+        sorted.forEach(line => {
+            const row = rows.at(-1)
+            row && middle(line) <= row.bottom ? row.lines.push(line) : rows.push({ bottom: line.y + line.h, lines: [line] })
+        })
+
+        const sign = direction === "rtl" ? -1 : 1
+        return rows.flatMap(row => row.lines.sort((a, b) => sign * (a.x - b.x)))
+    }
+
+    #bounds(anno, width, height) {
+        if (!anno?.target) return null
+        const shape = this.dataService.parseSelector(anno.target, width, height)
+            ?? this.dataService.parseXYWH(anno.target, width, height)
+        return shape.w > 0 && shape.h > 0 ? { x: shape.x, y: shape.y, w: shape.w, h: shape.h } : null
+    }
+}
@@ -0,0 +1,226 @@
+/**
+ * Resource Cache - Keeps fetched IIIF JSON between page loads
+ * Manifests, canvases, annotation pages and image information are kept in
+ * a least-recently-used memory cache and in IndexedDB, so moving between
+ * canvases of a manifest does not download and parse it again. HTTP
+ * caching headers decide what is reused: `no-store` responses are never
+ * kept, copies within their `max-age` or `Expires` are used without asking
+ * the server, and other copies are revalidated. Concurrent requests for
+ * one URL share a fetch.
+ */
+
+import { IDBStore } from './idb-store.js'
+
+/**
+ * Fetch options asking the server whether a cached copy is still current.
+ * `If-None-Match` and `If-Modified-Since` are not CORS-safelisted, so
+ * across origins they would need a preflight the server may refuse; they
+ * are only sent to the viewer's own origin. Other origins are asked to
+ * revalidate through the browser's HTTP cache, and `isUnchanged` compares
+ * the validators of the answer with the copy's.
+ * @param {string} url - Resource URL
+ * @param {Object|null} cached - Cached copy {etag, lastModified}
+ * @returns {RequestInit} Fetch options
+ */
+export function revalidation(url, cached) {
+    if (!cached?.etag && !cached?.lastModified) return {}
+    if (!isSameOrigin(url)) return { cache: "no-cache" }
+
+    const headers = {}
+    if (cached.etag) headers["If-None-Match"] = cached.etag
+    if (cached.lastModified) headers["If-Modified-Since"] = cached.lastModified
+    return { headers }
+}
+
+/**
+ * Whether an answer to a `revalidation` request says the cached copy is current
+ * @param {Response} response - Fetch response
+ * @param {Object|null} cached - Cached copy {etag, lastModified}
+ * @returns {boolean} True for a 304, or a success with the copy's ETag or Last-Modified
+ */
+export function isUnchanged(response, cached) {
+    if (!cached) return false
+    if (response.status === 304) return true
+    if (!response.ok) return false
+
+    const etag = response.headers.get("ETag")
+    if (etag) return etag === cached.etag
+    const lastModified = response.headers.get("Last-Modified")
+    return Boolean(lastModified) && lastModified === cached.lastModified
+}
+
+/**
+ * Wait for the request in flight for a key, starting it when there is
+ * none. Callers share the request, which is aborted only when every one
+ * of them has given up on it.
+ * @param {Map} inflight - Requests in flight by key
+ * @param {string} key - Request key
+ * @param {Function} start - `(signal) => Promise` making the request
+ * @param {AbortSignal} [signal] - Stops this caller waiting
+ * @returns {Promise} Result of the shared request
+ */
+export function joinRequest(inflight, key, start, signal) {
+    let request = inflight.get(key)
+    if (!request || request.controller.signal.aborted) {
+        const created = request = { controller: new AbortController(), waiting: 0 }
+        created.promise = start(created.controller.signal).finally(() => {
+            if (inflight.get(key) === created) inflight.delete(key)
+        })
+        inflight.set(key, created)
+    }
+
+    request.waiting++
+    if (!signal) return request.promise
+
+    return new Promise((resolve, reject) => {
+        const leave = () => {
+            reject(signal.reason)
+            if (--request.waiting === 0) request.controller.abort(signal.reason)
+        }
+        signal.addEventListener("abort", leave, { once: true })
+        request.promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", leave))
+    })
+}
+
+function isSameOrigin(url) {
+    try {
+        return new URL(url, window.location.href).origin === window.location.origin
+    } catch (e) {
+        return false
+    }
+}
+
+export class ResourceCache {
+    #memory = new Map()
+    #inflight = new Map()
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries] - Resources kept in memory; the least recently used are dropped first
+     * @param {boolean} [options.persistent] - Keep copies in IndexedDB across page loads
+     * @param {Function} [options.read] - Reads the JSON body of a response
+     * @param {Function} [options.persist] - `(url) => boolean`, false for resources only kept in memory,
+     *   such as those fetched with the user's credentials
+     */
+    constructor({ maxEntries = 50, persistent = true, read = (response) => response.json(), persist = () => true } = {}) {
+        this.maxEntries = Math.max(1, maxEntries)
+        this.persistent = persistent
+        this.read = read
+        this.persist = persist
+        this.store = persistent ? new IDBStore("page-viewer-resources", "resources", "url") : null
+    }
+
+    /**
+     * Get a JSON resource: a fresh cached copy as it is, otherwise fetched,
+     * conditionally when the cached copy has a validator. Callers asking
+     * for the same URL at once share one request, which is aborted only
+     * when every one of them has given up on it.
+     * @param {string} url - Resource URL
+     * @param {Function} fetcher - `(url, init) => Promise<Response>` making the request
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops this caller waiting
+     * @returns {Promise<Object>} Parsed JSON
+     * @throws {Error} When the server answers with an error status
+     */
+    async get(url, fetcher, { signal } = {}) {
+        signal?.throwIfAborted()
+
+        const cached = this.#memory.get(url)
+        if (cached && this.#isFresh(cached)) {
+            this.#remember(cached)
+            return cached.data
+        }
+
+        return joinRequest(this.#inflight, url, (shared) => this.#fetch(url, fetcher, shared), signal)
+    }
+
+    /**
+     * Drop all cached resources, in memory and in IndexedDB
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.#memory.clear()
+        await this.store?.clear()
+    }
+
+    /**
+     * Fetch a resource, revalidating a cached copy from memory or IndexedDB
+     * @param {string} url - Resource URL
+     * @param {Function} fetcher - Makes the request
+     * @param {AbortSignal} signal - Aborts the request
+     * @returns {Promise<Object>} Parsed JSON
+     */
+    async #fetch(url, fetcher, signal) {
+        const cached = this.#memory.get(url) ?? (this.persist(url) ? await this.store?.get(url) : null)
+        if (cached && this.#isFresh(cached)) {
+            this.#remember(cached)
+            return cached.data
+        }
+
+        const response = await fetcher(url, { ...revalidation(url, cached), signal })
+
+        if (isUnchanged(response, cached)) {
+            this.#store({ ...cached, expires: this.#expiry(response) })
+            return cached.data
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}: ${response.status}`)
+        }
+
+        const data = await this.read(response)
+        this.#store({
+            url,
+            etag: response.headers.get("ETag"),
+            lastModified: response.headers.get("Last-Modified"),
+            expires: this.#expiry(response),
+            data
+        })
+        return data
+    }
+
+    /**
+     * When a response stops being fresh, from its caching headers
+     * @param {Response} response - Fetch response
+     * @returns {number|null} Time in milliseconds, or null when it must not be kept
+     */
+    #expiry(response) {
+        const cacheControl = response.headers.get("Cache-Control")?.toLowerCase() ?? ""
+        if (/(^|,)\s*no-store/.test(cacheControl)) return null
+        if (/(^|,)\s*no-cache/.test(cacheControl)) return 0
+
+        const maxAge = cacheControl.match(/(?:^|,)\s*max-age=(\d+)/)
+        if (maxAge) return Date.now() + Number(maxAge[1]) * 1000
+        return Date.parse(response.headers.get("Expires") ?? "") || 0
+    }
+
+    #isFresh(entry) {
+        return entry.expires > Date.now()
+    }
+
+    /**
+     * Keep an entry that can be trusted later, because it is still fresh
+     * or can be revalidated. Entries `persist` refuses stay in memory.
+     * @param {Object} entry - {url, etag, lastModified, expires, data}
+     */
+    #store(entry) {
+        if (entry.expires === null || (!entry.etag && !entry.lastModified && !this.#isFresh(entry))) {
+            this.#memory.delete(entry.url)
+            return
+        }
+        this.#remember(entry)
+        if (this.persist(entry.url)) this.store?.put(entry)
+    }
+
+    /**
+     * Put an entry at the recent end of the memory cache, dropping the
+     * least recently used beyond `maxEntries`
+     * @param {Object} entry - Cache entry
+     */
+    #remember(entry) {
+        this.#memory.delete(entry.url)
+        this.#memory.set(entry.url, entry)
+        while (this.#memory.size > this.maxEntries) {
+            this.#memory.delete(this.#memory.keys().next().value)
+        }
+    }
+}
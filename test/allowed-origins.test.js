@@ -0,0 +1,32 @@
+/**
+ * Messages from origins outside the allowlist are dropped, with one
+ * warning per origin so an unlisted embedder can tell why.
+ */
+import { test, mock } from "node:test"
+import assert from "node:assert/strict"
+import { installDom } from "./dom.js"
+
+installDom("https://viewer.example/index.html?allowedOrigins=https://app.example")
+const { MessageHandler } = await import("../message-handler.js")
+
+
+test("the viewer's own origin and the allowedOrigins parameter are allowed", () => {
+    const handler = new MessageHandler({})
+    assert.deepEqual(handler.allowedOrigins, ["https://viewer.example", "https://app.example"])
+    assert.equal(handler.isAllowedOrigin("https://elsewhere.example"), false)
+})
+
+test("an unlisted origin is warned about once", () => {
+    const warn = mock.method(console, "warn", () => {})
+    const handler = new MessageHandler({})
+    const message = { origin: "https://elsewhere.example", data: { type: "SHOW_TRANSCRIPTION", visible: true } }
+
+    handler.handleMessage(message)
+    handler.handleMessage(message)
+    handler.handleMessage({ ...message, origin: "https://other.example" })
+
+    assert.equal(warn.mock.callCount(), 2)
+    assert.match(warn.mock.calls[0].arguments[0], /https:\/\/elsewhere\.example/)
+    assert.match(warn.mock.calls[0].arguments[0], /allowedOrigins/)
+    warn.mock.restore()
+})
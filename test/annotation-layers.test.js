@@ -0,0 +1,100 @@
+/**
+ * Lines added or replaced by the parent land in the layers the layer
+ * picker shows, so switching a layer off hides them too.
+ */
+import { test, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import { installDom } from "./dom.js"
+
+installDom()
+const { PageViewer } = await import("../viewer.js")
+
+const PAGE_A = "https://example.org/page/a"
+const PAGE_B = "https://example.org/page/b"
+const PAGE_C = "https://example.org/page/c"
+
+let viewer
+let ui
+
+/**
+ * An embedded line of `page`, the `n`th from the top of the canvas
+ */
+function line(page, n) {
+    return {
+        id: `${page}/line/${n}`,
+        type: "Annotation",
+        motivation: "transcribing",
+        target: `https://example.org/canvas/1#xywh=0,${n * 100},500,50`,
+        body: { type: "TextualBody", value: `line ${n}` }
+    }
+}
+
+function overlayLayers() {
+    return [...document.querySelectorAll(".overlayBox")].map(box => box.dataset.layer)
+}
+
+/**
+ * Check a layer's box in the picker on or off
+ */
+function toggleLayer(label, checked) {
+    const box = [...document.querySelectorAll(".layerPanel label")]
+        .find(item => item.textContent.trim() === label)
+        .querySelector("input")
+    box.checked = checked
+    box.dispatchEvent(new window.Event("change"))
+}
+
+beforeEach(() => {
+    viewer?.uiManager.clear()
+    document.body.replaceChildren(Object.assign(document.createElement("div"), { id: "imageContainer" }))
+    viewer = new PageViewer("imageContainer", {
+        cache: { persistent: false },
+        fetch: async () => new Response("Not found", { status: 404 })
+    })
+    ui = viewer.uiManager
+
+    // A canvas as loadPage draws it from two annotation pages
+    ui.renderMagnifier()
+    ui.renderImage("https://example.org/page.jpg", null, { width: 1000, height: 1000 })
+    ui.renderLayerPicker([
+        { id: "0", pageId: PAGE_A, label: "A" },
+        { id: "1", pageId: PAGE_B, label: "B" }
+    ])
+    ui.renderAnnotations([
+        { ...viewer.dataService.normalizeAnnotation(line(PAGE_A, 0)), layer: "0" },
+        { ...viewer.dataService.normalizeAnnotation(line(PAGE_B, 1)), layer: "1" }
+    ], 1000, 1000)
+})
+
+test("an added line named by its page joins that page's layer", async () => {
+    toggleLayer("B", false)
+    await viewer.addAnnotation(line(PAGE_B, 2), { layer: PAGE_B })
+
+    assert.deepEqual(overlayLayers(), ["0", "1", "1"])
+    assert.equal(document.querySelectorAll(".overlayBox.layerHidden").length, 2)
+})
+
+test("an added line of a new page gets a new layer in the picker", async () => {
+    toggleLayer("A", false)
+    await viewer.addAnnotation(line(PAGE_C, 2), { layer: PAGE_C })
+
+    assert.deepEqual(ui.annotationLayers.map(layer => layer.pageId), [PAGE_A, PAGE_B, PAGE_C])
+    assert.deepEqual(overlayLayers(), ["0", "1", "2"])
+    assert.equal(document.querySelectorAll(".layerPicker").length, 1)
+    assert.equal(document.querySelectorAll(".layerPanel input").length, 3)
+    // Layers switched off stay off
+    assert.deepEqual([...ui.hiddenLayers], ["0"])
+    assert.equal(document.querySelector(".layerPanel input").checked, false)
+})
+
+test("replacing the lines with a page makes it the only layer", async () => {
+    toggleLayer("A", false)
+    await viewer.replaceAnnotations({
+        annotationPage: { id: PAGE_C, type: "AnnotationPage", items: [line(PAGE_C, 0), line(PAGE_C, 1)] }
+    })
+
+    assert.deepEqual(ui.annotationLayers.map(layer => layer.pageId), [PAGE_C])
+    assert.deepEqual(overlayLayers(), ["0", "0"])
+    assert.equal(document.querySelectorAll(".overlayBox.layerHidden").length, 0)
+    assert.equal(document.querySelectorAll(".layerPicker").length, 0)
+})
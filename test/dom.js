@@ -0,0 +1,61 @@
+/**
+ * A browser window for tests of the rendering code, from jsdom. jsdom has
+ * no `CSS.escape`, `ResizeObserver` or `Element.scrollTo`, so small
+ * stand-ins are added.
+ */
+import { JSDOM } from "jsdom"
+
+const GLOBALS = [
+    "document", "history", "location", "navigator", "CSS", "ResizeObserver", "requestAnimationFrame",
+    "cancelAnimationFrame", "customElements", "HTMLElement", "Image", "Option", "Node", "getComputedStyle"
+]
+
+/**
+ * Make a jsdom window the global browser environment
+ * @param {string} [url] - Address of the viewer page
+ * @returns {Window} The window
+ */
+export function installDom(url = "https://viewer.example/index.html") {
+    const { window } = new JSDOM(`<!doctype html><div id="imageContainer"></div>`, { url, pretendToBeVisual: true })
+    window.CSS ??= { escape: cssEscape }
+    window.ResizeObserver ??= class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    }
+    window.Element.prototype.scrollTo ??= function () {}
+
+    Object.defineProperty(globalThis, "window", { value: window, configurable: true, writable: true })
+    GLOBALS.forEach(name => {
+        Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true })
+    })
+    return window
+}
+
+/**
+ * `CSS.escape` as the CSSOM specification defines it
+ * @param {string} value - Identifier to escape
+ * @returns {string} Escaped identifier
+ */
+function cssEscape(value) {
+    const string = String(value)
+    let result = ""
+    for (let index = 0; index < string.length; index++) {
+        const code = string.charCodeAt(index)
+        const digit = code >= 0x30 && code <= 0x39
+        if (code === 0) {
+            result += "�"
+        } else if ((code >= 0x1 && code <= 0x1f) || code === 0x7f || (index === 0 && digit) ||
+            (index === 1 && digit && string.charCodeAt(0) === 0x2d)) {
+            result += `\\${code.toString(16)} `
+        } else if (index === 0 && string.length === 1 && code === 0x2d) {
+            result += `\\${string[index]}`
+        } else if (code >= 0x80 || code === 0x2d || code === 0x5f || digit ||
+            (code >= 0x41 && code <= 0x5a) || (code >= 0x61 && code <= 0x7a)) {
+            result += string[index]
+        } else {
+            result += `\\${string[index]}`
+        }
+    }
+    return result
+}
@@ -0,0 +1,97 @@
+/**
+ * Hostile manifests against the data layer: resources on schemes other
+ * than `https:`/`http:` must never be fetched, wherever a manifest names them.
+ */
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { IIIFDataService } from "../iiif-data-service.js"
+
+const HOSTILE_URLS = [
+    "javascript:alert(document.cookie)",
+    "JaVaScRiPt:alert(1)",
+    "data:application/json,{\"type\":\"Manifest\"}",
+    "file:///etc/passwd"
+]
+
+/**
+ * A data service whose requests are recorded and answered with a 404
+ */
+function recordingService() {
+    const requests = []
+    const service = new IIIFDataService({
+        cache: { persistent: false },
+        fetch: async (url) => {
+            requests.push(url)
+            return new Response("Not found", { status: 404 })
+        }
+    })
+    return { service, requests }
+}
+
+/**
+ * A v3 manifest with one canvas whose image, image service and annotations use `url`
+ */
+function manifestPointingAt(url) {
+    return {
+        "@context": "http://iiif.io/api/presentation/3/context.json",
+        id: "https://example.org/manifest",
+        type: "Manifest",
+        label: { none: ["<script>alert(1)</script>"] },
+        items: [{
+            id: "https://example.org/canvas/1",
+            type: "Canvas",
+            width: 1000,
+            height: 800,
+            thumbnail: [{ id: url, type: "Image" }],
+            items: [{
+                type: "AnnotationPage",
+                items: [{
+                    type: "Annotation",
+                    motivation: "painting",
+                    target: "https://example.org/canvas/1",
+                    body: { id: "https://example.org/page.jpg", type: "Image", service: [{ id: url, type: "ImageService3" }] }
+                }]
+            }],
+            annotations: [
+                url,
+                { id: "https://example.org/page/1", type: "AnnotationPage", items: [url, { id: url }] }
+            ]
+        }]
+    }
+}
+
+test("only https and http URLs are allowed", () => {
+    const { service } = recordingService()
+    HOSTILE_URLS.forEach(url => assert.equal(service.isAllowedUrl(url), false, url))
+    assert.equal(service.isAllowedUrl("https://example.org/manifest"), true)
+    assert.equal(service.isAllowedUrl("http://example.org/manifest"), true)
+})
+
+test("resources on other schemes are refused without a request", async () => {
+    for (const url of HOSTILE_URLS) {
+        const { service, requests } = recordingService()
+        await assert.rejects(service.getSpecificTypeData(url))
+        await assert.rejects(service.fetchResource(url))
+        assert.deepEqual(requests, [], url)
+    }
+})
+
+test("a manifest naming other schemes loads without requesting them", async () => {
+    for (const url of HOSTILE_URLS) {
+        const { service, requests } = recordingService()
+        const page = await service.fetchPageViewerData(manifestPointingAt(url))
+
+        assert.ok(requests.every(request => /^https?:/.test(request)), `${url} was requested`)
+        assert.equal(page.imageService, null)
+        assert.equal(page.annotations.length, 0)
+        // The page reference is skipped; the two lines of the embedded page are reported
+        assert.deepEqual(page.failedAnnotations.map(failure => failure.id), [url, url])
+    }
+})
+
+test("labels are read as plain text", () => {
+    const { service } = recordingService()
+    const label = "<img src=x onerror=alert(1)>"
+    assert.equal(service.getLabel({ label: { en: [label] } }), label)
+    assert.equal(service.getLabel({ label }), label)
+})
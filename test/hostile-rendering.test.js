@@ -0,0 +1,139 @@
+/**
+ * Hostile manifests against the rendering layer: labels, summaries, line
+ * text and error messages are shown as text, line ids full of quotes still
+ * find their overlay, and URL state survives any characters.
+ */
+import { test, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import { installDom } from "./dom.js"
+
+installDom()
+const { UIManager } = await import("../ui-manager.js")
+const { IIIFDataService } = await import("../iiif-data-service.js")
+
+const MARKUP = [
+    "<script>window.pwned = true</script>",
+    "<img src=x onerror=\"window.pwned = true\">",
+    "\"><svg onload=\"window.pwned = true\">"
+]
+
+const QUOTED_IDS = [
+    "https://example.org/line/a\"] , .overlayBox[data-lineid=\"0",
+    "https://example.org/line/it's \"quoted\"",
+    "https://example.org/line/back\\slash]"
+]
+
+let ui
+
+/**
+ * Elements that could run script if markup got through
+ */
+function injected() {
+    return document.querySelectorAll("script, svg, [onerror], [onload]")
+}
+
+/**
+ * Draw a canvas with one line per text and id
+ */
+function renderLines(lines) {
+    ui.renderMagnifier()
+    ui.renderImage("https://example.org/page.jpg", null, { width: 1000, height: 1000 })
+    ui.renderAnnotations(lines.map((line, index) => ({
+        target: `https://example.org/canvas/1#xywh=0,${index * 100},500,50`,
+        text: line.text ?? "",
+        lineid: line.id ?? `https://example.org/line/${index}`
+    })), 1000, 1000)
+}
+
+beforeEach(() => {
+    ui?.clear()
+    document.body.replaceChildren(Object.assign(document.createElement("div"), { id: "imageContainer" }))
+    history.replaceState(null, "", "/index.html")
+    ui = new UIManager("imageContainer", new IIIFDataService({ cache: { persistent: false } }))
+})
+
+test("error and loading messages are shown as text", () => {
+    for (const message of MARKUP) {
+        ui.showError(message)
+        assert.equal(injected().length, 0)
+        assert.ok(ui.container.textContent.includes(message))
+
+        ui.showLoading(message)
+        assert.equal(injected().length, 0)
+        assert.equal(ui.container.textContent, message)
+    }
+})
+
+test("canvas labels and summaries are shown as text", () => {
+    const canvases = MARKUP.map((label, index) => ({
+        id: `https://example.org/canvas/${index}`,
+        type: "Canvas",
+        label: { none: [label] },
+        summary: { none: [label] }
+    }))
+    ui.renderMagnifier()
+    ui.showCanvasStrip = true
+    ui.renderCanvasNavigation(canvases, 1)
+
+    assert.equal(injected().length, 0)
+    assert.equal(document.querySelector(".canvasPosition").title, MARKUP[1])
+    const titles = [...document.querySelectorAll(".canvasThumb")].map(thumb => thumb.title)
+    assert.deepEqual(titles, MARKUP)
+})
+
+test("layer labels are shown as text", () => {
+    ui.renderMagnifier()
+    ui.renderLayerPicker(MARKUP.map((label, index) => ({ id: String(index), label })))
+    ui.renderImageLayerPicker(MARKUP.map((label, index) => ({
+        id: `https://example.org/image/${index}`,
+        label,
+        choices: [{ url: "https://example.org/a.jpg", label }, { url: "https://example.org/b.jpg", label }],
+        choice: 0,
+        region: null
+    })))
+
+    assert.equal(injected().length, 0)
+    MARKUP.forEach(label => assert.ok(ui.toolbar.textContent.includes(label)))
+})
+
+test("line text is shown as text on overlays and in the transcription panel", () => {
+    ui.setTranscriptionPanel(true)
+    renderLines(MARKUP.map(text => ({ text })))
+
+    assert.equal(injected().length, 0)
+    const rows = [...document.querySelectorAll(".transcriptionRow")].map(row => row.textContent)
+    MARKUP.forEach(text => assert.ok(rows.some(row => row.includes(text)), text))
+})
+
+test("line ids with quotes and brackets select their own overlay", () => {
+    renderLines(QUOTED_IDS.map(id => ({ id })))
+
+    QUOTED_IDS.forEach((id, index) => {
+        assert.doesNotThrow(() => ui.highlightAnnotation(id, { scroll: false }))
+        const selected = document.querySelectorAll(".overlayBox.clicked")
+        assert.equal(selected.length, 1, id)
+        assert.equal(selected[0].dataset.lineid, String(index), id)
+    })
+})
+
+test("URL state is encoded", () => {
+    history.replaceState(null, "", "/index.html?keep=1#view")
+    const values = {
+        canvas: "https://example.org/canvas/1?a=1&b=2#xywh=0,0,10,10",
+        annotation: "https://example.org/line/\"><script>alert(1)</script>",
+        manifest: "https://example.org/manifest?x=%20&y=+plus"
+    }
+    ui.updateUrlState(values)
+
+    const params = new URLSearchParams(location.search)
+    Object.entries(values).forEach(([key, value]) => assert.equal(params.get(key), value))
+    assert.deepEqual([...params.keys()].sort(), ["annotation", "canvas", "keep", "manifest"])
+    assert.equal(location.hash, "#view")
+
+    ui.updateUrlState({ canvas: null, annotation: "" })
+    assert.deepEqual([...new URLSearchParams(location.search).keys()].sort(), ["keep", "manifest"])
+})
+
+test("nothing injected ran", () => {
+    assert.equal(window.pwned, undefined)
+})
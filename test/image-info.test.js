@@ -0,0 +1,70 @@
+/**
+ * Finding an image's info.json with a HEAD request: a refusal is not
+ * downloaded again with GET, only a server without HEAD support is
+ */
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { IIIFDataService } from "../iiif-data-service.js"
+import { AuthRequiredError } from "../iiif-auth.js"
+
+const IMAGE = "https://iiif.example/image/page1"
+
+const INFO = {
+    "@context": "http://iiif.io/api/image/3/context.json",
+    id: IMAGE,
+    type: "ImageService3",
+    width: 2000,
+    height: 3000
+}
+
+/**
+ * A data service answering HEAD with `headStatus` and GET with the info.json,
+ * recording the method and URL of each request
+ */
+function serviceAnsweringHead(headStatus) {
+    const requests = []
+    const service = new IIIFDataService({
+        cache: { persistent: false },
+        fetch: async (url, init = {}) => {
+            const method = init.method ?? "GET"
+            requests.push(`${method} ${url}`)
+            if (method === "HEAD") return new Response(null, { status: headStatus })
+            return new Response(JSON.stringify(INFO), { status: 200, headers: { "Content-Type": "application/json" } })
+        }
+    })
+    service.auth.requestToken = async () => null
+    return { service, requests }
+}
+
+test("a refused HEAD is not retried with GET", async () => {
+    for (const status of [401, 403]) {
+        const { service, requests } = serviceAnsweringHead(status)
+        const result = await service.processIIIFImageUrl(IMAGE, 800, 600)
+
+        assert.deepEqual(result, { imgUrl: IMAGE, imageService: null })
+        assert.deepEqual(requests, [`HEAD ${IMAGE}`])
+    }
+})
+
+test("a refused HEAD for an image known to be restricted asks for a login", async () => {
+    const { service, requests } = serviceAnsweringHead(401)
+    const access = { id: "https://iiif.example/login", profile: "active", tokenService: "https://iiif.example/token" }
+    service.auth.restrict(IMAGE, access)
+
+    await assert.rejects(service.processIIIFImageUrl(IMAGE, 800, 600), error => {
+        assert.ok(error instanceof AuthRequiredError)
+        assert.equal(error.service, access)
+        return true
+    })
+    assert.deepEqual(requests, [`HEAD ${IMAGE}`])
+})
+
+test("a server without HEAD support is asked with GET", async () => {
+    for (const status of [405, 501]) {
+        const { service, requests } = serviceAnsweringHead(status)
+        const result = await service.processIIIFImageUrl(IMAGE, 800, 600)
+
+        assert.equal(result.imageService.id, IMAGE)
+        assert.deepEqual(requests, [`HEAD ${IMAGE}`, `GET ${IMAGE}`])
+    }
+})
@@ -0,0 +1,173 @@
+/**
+ * Line editing follows the reading order, and `put` saving only allows
+ * the edits a PUT can store.
+ */
+import { test, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import { installDom } from "./dom.js"
+
+installDom()
+const { PageViewer } = await import("../viewer.js")
+
+let viewer
+let ui
+let requests
+
+/**
+ * Two columns of two lines, listed row by row as a page often lists them
+ */
+const COLUMNS = [
+    { lineid: "https://example.org/line/left-1", text: "left 1", target: "xywh=50,100,400,50" },
+    { lineid: "https://example.org/line/right-1", text: "right 1", target: "xywh=550,100,400,50" },
+    { lineid: "https://example.org/line/left-2", text: "left 2", target: "xywh=50,200,400,50" },
+    { lineid: "https://example.org/line/right-2", text: "right 2", target: "xywh=550,200,400,50" }
+]
+
+function lineIds() {
+    return ui.currentAnnotations.map(anno => anno.lineid.split("/").pop())
+}
+
+beforeEach(() => {
+    viewer?.uiManager.clear()
+    document.body.replaceChildren(Object.assign(document.createElement("div"), { id: "imageContainer" }))
+    history.replaceState(null, "", "/index.html")
+    requests = []
+    viewer = new PageViewer("imageContainer", {
+        cache: { persistent: false },
+        fetch: async (url, init = {}) => {
+            requests.push({ url, method: init.method ?? "GET", body: init.body ? JSON.parse(init.body) : null })
+            return new Response("{}", { status: 200 })
+        }
+    })
+    ui = viewer.uiManager
+
+    ui.renderMagnifier()
+    ui.renderEditControls()
+    ui.renderImage("https://example.org/page.jpg", null, { width: 1000, height: 1000 })
+    ui.renderAnnotations(COLUMNS.map(line => ({ ...line })), 1000, 1000)
+})
+
+test("merge joins the next line in reading order", () => {
+    ui.setReadingOrder("ltr")
+    assert.equal(ui.lineEditor.merge(0), true)
+
+    assert.deepEqual(lineIds(), ["left-1", "right-1", "right-2"])
+    assert.equal(ui.currentAnnotations[0].text, "left 1 left 2")
+    assert.equal(ui.currentAnnotations[0].target, "xywh=50,100,400,150")
+})
+
+test("merge of the last line read does nothing", () => {
+    ui.setReadingOrder("ltr")
+    assert.equal(ui.lineEditor.merge(3), false)
+    assert.equal(ui.currentAnnotations.length, 4)
+})
+
+test("merge in source order joins the next line listed", () => {
+    assert.equal(ui.lineEditor.merge(2), true)
+    assert.deepEqual(lineIds(), ["left-1", "right-1", "left-2"])
+    assert.equal(ui.currentAnnotations[2].text, "left 2 right 2")
+})
+
+test("the lower half of a split line is read right after the upper half", () => {
+    const ids = ["left-1", "left-2", "right-1", "right-2"]
+    ui.setReadingOrder(ids.map(id => `https://example.org/line/${id}`))
+    assert.equal(ui.lineEditor.split(0), true)
+
+    const lower = ui.currentAnnotations[1]
+    assert.equal(lower.target, "xywh=50,125,400,25")
+    assert.equal(ui.orderedAnnotations()[1], lower)
+    assert.deepEqual(ui.orderedAnnotations().slice(2).map(anno => anno.lineid.split("/").pop()), ids.slice(1))
+})
+
+test("the lower half of a split line follows it in a layout order", () => {
+    ui.setReadingOrder("ltr")
+    assert.equal(ui.lineEditor.split(2), true)
+    assert.deepEqual(ui.orderedAnnotations().map(anno => anno.text), ["left 1", "left 2", "", "right 1", "right 2"])
+})
+
+test("put mode allows moves and resizes only", async () => {
+    viewer.setEditMode(true, { save: "put" })
+    const buttons = [...document.querySelectorAll(".editDraw, .editSplit, .editMerge")]
+    assert.equal(buttons.length, 3)
+    assert.ok(buttons.every(button => button.disabled))
+
+    ui.lineEditor.setDrawing(true)
+    assert.equal(ui.lineEditor.drawing, false)
+    assert.equal(ui.lineEditor.split(0), false)
+    assert.equal(ui.lineEditor.merge(0), false)
+    assert.equal(ui.currentAnnotations.length, 4)
+
+    viewer.setEditMode(true, { save: "message" })
+    assert.ok(buttons.every(button => !button.disabled))
+    assert.equal(ui.lineEditor.split(0), true)
+    assert.equal(ui.currentAnnotations.length, 5)
+    assert.deepEqual(requests, [])
+})
+
+test("switching to put mode forgets structural edits", () => {
+    viewer.setEditMode(true)
+    ui.lineEditor.split(0)
+    assert.equal(ui.lineEditor.canUndo, true)
+
+    viewer.setEditMode(true, { save: "put" })
+    assert.equal(ui.lineEditor.canUndo, false)
+})
+
+/**
+ * Show `annotation` as the only line, loaded as the viewer loads lines,
+ * and move it in `put` mode. Returns what was PUT.
+ */
+async function moveAndSave(annotation, movedTo) {
+    const { annotations } = await viewer.dataService.loadAnnotations([annotation])
+    ui.replaceAnnotations(annotations)
+    viewer.canvasId = "https://example.org/canvas/1"
+    viewer.setEditMode(true, { save: "put" })
+
+    const before = ui.currentAnnotations
+    const after = [{ ...before[0], target: movedTo }]
+    await ui.onEdit("move", before, after)
+    return requests.filter(request => request.method === "PUT")
+}
+
+test("put mode saves the annotation as loaded, with only its region changed", async () => {
+    const annotation = {
+        "@context": "http://www.w3.org/ns/anno.jsonld",
+        id: "https://example.org/annotation/1",
+        type: "Annotation",
+        motivation: "transcribing",
+        creator: { id: "https://example.org/user/7", name: "A. Scribe" },
+        created: "2024-03-01T10:00:00Z",
+        body: [
+            { type: "TextualBody", value: "in principio", language: "la", format: "text/plain", purpose: "transcribing" },
+            { type: "TextualBody", value: "rubric", purpose: "tagging" },
+            { type: "SpecificResource", source: "https://example.org/glossary/principium" }
+        ],
+        target: {
+            source: "https://example.org/canvas/1",
+            type: "SpecificResource",
+            scope: "https://example.org/manuscript",
+            selector: { type: "FragmentSelector", conformsTo: "http://www.w3.org/TR/media-frags/", value: "xywh=50,100,400,50" }
+        }
+    }
+    const [put] = await moveAndSave(annotation, "xywh=60,110,400,50")
+
+    assert.equal(put.url, annotation.id)
+    assert.deepEqual(put.body, {
+        ...annotation,
+        target: { ...annotation.target, selector: { ...annotation.target.selector, value: "xywh=60,110,400,50" } }
+    })
+})
+
+test("put mode saves a Presentation 2 annotation as one", async () => {
+    const annotation = {
+        "@id": "https://example.org/v2/annotation/1",
+        "@type": "oa:Annotation",
+        motivation: "oa:commenting",
+        resource: { "@type": "cnt:ContentAsText", chars: "in principio", language: "la" },
+        on: "https://example.org/canvas/1#xywh=50,100,400,50"
+    }
+    const [put] = await moveAndSave(annotation, "xywh=60,110,400,50")
+
+    assert.equal(put.url, annotation["@id"])
+    assert.deepEqual(put.body, { ...annotation, on: "https://example.org/canvas/1#xywh=60,110,400,50" })
+})
@@ -0,0 +1,102 @@
+/**
+ * LOADED names what was shown by id, for Presentation 3 and 2 resources alike
+ */
+import { test, beforeEach, mock } from "node:test"
+import assert from "node:assert/strict"
+import { installDom } from "./dom.js"
+
+installDom()
+const { PageViewer } = await import("../viewer.js")
+
+let viewer
+
+/**
+ * Load a page, letting the canvas image "arrive" once it is requested,
+ * and return the LOADED payload
+ */
+async function loadAndReport(...args) {
+    const post = mock.method(viewer.messageHandler, "post", () => null)
+    const loading = viewer.loadPage(...args)
+    while (!document.querySelector("#canvasImage")) await new Promise(resolve => setTimeout(resolve, 0))
+    document.querySelector("#canvasImage").onload()
+    await loading
+
+    const call = post.mock.calls.find(({ arguments: [type] }) => type === "LOADED")
+    assert.ok(call, `no LOADED: ${JSON.stringify(post.mock.calls.map(({ arguments: [type, payload] }) => [type, payload]))}`)
+    return call.arguments[1]
+}
+
+beforeEach(() => {
+    viewer?.uiManager.clear()
+    document.body.replaceChildren(Object.assign(document.createElement("div"), { id: "imageContainer" }))
+    history.replaceState(null, "", "/index.html")
+    viewer = new PageViewer("imageContainer", {
+        cache: { persistent: false },
+        fetch: async () => new Response("Not found", { status: 404 })
+    })
+})
+
+test("a v3 canvas and AnnotationPage are reported by id", async () => {
+    const canvas = {
+        id: "https://example.org/canvas/1",
+        type: "Canvas",
+        width: 1000,
+        height: 800,
+        items: [{
+            type: "AnnotationPage",
+            items: [{
+                type: "Annotation",
+                motivation: "painting",
+                target: "https://example.org/canvas/1",
+                body: { id: "https://example.org/page.jpg", type: "Image", width: 1000, height: 800 }
+            }]
+        }]
+    }
+    const page = {
+        id: "https://example.org/page/1",
+        type: "AnnotationPage",
+        items: [{
+            id: "https://example.org/line/1",
+            type: "Annotation",
+            motivation: "supplementing",
+            target: "https://example.org/canvas/1#xywh=0,0,100,20",
+            body: { type: "TextualBody", value: "line" }
+        }]
+    }
+
+    const loaded = await loadAndReport(canvas, null, page)
+    assert.equal(loaded.canvasId, canvas.id)
+    assert.equal(loaded.annotationPageId, page.id)
+    assert.equal(loaded.annotationCount, 1)
+})
+
+test("a v2 canvas and AnnotationList are reported by @id", async () => {
+    const canvas = {
+        "@id": "https://example.org/v2/canvas/1",
+        "@type": "sc:Canvas",
+        width: 1000,
+        height: 800,
+        images: [{
+            "@type": "oa:Annotation",
+            motivation: "sc:painting",
+            on: "https://example.org/v2/canvas/1",
+            resource: { "@id": "https://example.org/v2/page.jpg", "@type": "dctypes:Image", width: 1000, height: 800 }
+        }]
+    }
+    const list = {
+        "@id": "https://example.org/v2/list/1",
+        "@type": "sc:AnnotationList",
+        resources: [{
+            "@id": "https://example.org/v2/line/1",
+            "@type": "oa:Annotation",
+            motivation: "oa:commenting",
+            on: "https://example.org/v2/canvas/1#xywh=0,0,100,20",
+            resource: { "@type": "cnt:ContentAsText", chars: "line" }
+        }]
+    }
+
+    const loaded = await loadAndReport(canvas, null, list)
+    assert.equal(loaded.canvasId, canvas["@id"])
+    assert.equal(loaded.annotationPageId, list["@id"])
+    assert.equal(loaded.annotationCount, 1)
+})
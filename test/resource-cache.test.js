@@ -0,0 +1,183 @@
+/**
+ * Revalidation that needs no CORS preflight, and what is kept across visits
+ */
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { installDom } from "./dom.js"
+
+installDom("https://viewer.example/index.html")
+const { ResourceCache } = await import("../resource-cache.js")
+const { AnnotationLoader } = await import("../annotation-loader.js")
+const { IIIFDataService } = await import("../iiif-data-service.js")
+const { TPENAdapter } = await import("../adapters.js")
+
+const REMOTE = "https://iiif.example/manifest"
+const LOCAL = "https://viewer.example/manifest"
+
+/**
+ * An IndexedDB stand-in holding one stale copy per given URL
+ */
+function storeWith(...urls) {
+    const records = new Map(urls.map(url => [url, { url, id: url, etag: "\"v1\"", expires: 0, data: { cached: true } }]))
+    const written = []
+    return {
+        written,
+        get: async (key) => records.get(key) ?? null,
+        put: async (record) => { written.push(record) },
+        clear: async () => records.clear()
+    }
+}
+
+/**
+ * A fetch answering every request with `body` and `headers`, recording the requests
+ */
+function answering(body, headers = {}) {
+    const requests = []
+    const fetcher = async (url, init = {}) => {
+        requests.push({ url, init })
+        return new Response(JSON.stringify(body), { status: 200, headers })
+    }
+    return { fetcher, requests }
+}
+
+test("other origins are revalidated through the HTTP cache, without validator headers", async () => {
+    const cache = new ResourceCache()
+    cache.store = storeWith(REMOTE)
+    const { fetcher, requests } = answering({ fresh: true }, { ETag: "\"v1\"" })
+
+    assert.deepEqual(await cache.get(REMOTE, fetcher), { cached: true })
+    assert.equal(requests[0].init.cache, "no-cache")
+    assert.equal(requests[0].init.headers, undefined)
+})
+
+test("a changed resource on another origin is read again", async () => {
+    const cache = new ResourceCache()
+    cache.store = storeWith(REMOTE)
+    const { fetcher } = answering({ fresh: true }, { ETag: "\"v2\"" })
+
+    assert.deepEqual(await cache.get(REMOTE, fetcher), { fresh: true })
+})
+
+test("the viewer's own origin is sent validator headers", async () => {
+    const cache = new ResourceCache()
+    cache.store = storeWith(LOCAL)
+    const requests = []
+    const fetcher = async (url, init) => {
+        requests.push(init)
+        return new Response(null, { status: 304 })
+    }
+
+    assert.deepEqual(await cache.get(LOCAL, fetcher), { cached: true })
+    assert.equal(requests[0].headers["If-None-Match"], "\"v1\"")
+    assert.equal(requests[0].cache, undefined)
+})
+
+test("annotations follow the same revalidation", async () => {
+    const loader = new AnnotationLoader()
+    loader.store = storeWith(REMOTE)
+    const { fetcher, requests } = answering({ fresh: true }, { ETag: "\"v1\"" })
+    loader.fetcher = fetcher
+
+    assert.deepEqual(await loader.load(REMOTE), { cached: true })
+    assert.equal(requests[0].init.cache, "no-cache")
+    assert.equal(requests[0].init.headers, undefined)
+})
+
+test("annotations beyond maxEntries are dropped from memory, least recently used first", async () => {
+    const loader = new AnnotationLoader({ persistent: false, maxEntries: 2 })
+    const { fetcher, requests } = answering({ fresh: true }, { ETag: "\"v1\"" })
+    loader.fetcher = fetcher
+    const ids = ["a", "b", "c"].map(name => `https://iiif.example/line/${name}`)
+
+    await loader.load(ids[0])
+    await loader.load(ids[1])
+    await loader.load(ids[0])
+    await loader.load(ids[2])
+    requests.length = 0
+
+    for (const id of [ids[2], ids[0], ids[1]]) await loader.load(id)
+    // `b` was the least recently used when `c` arrived, so it has no copy to revalidate
+    assert.deepEqual(requests.map(request => request.init.cache ?? null), ["no-cache", "no-cache", null])
+})
+
+test("an abandoned list starts no further annotation fetches", async () => {
+    const loader = new AnnotationLoader({ persistent: false, concurrency: 1 })
+    const controller = new AbortController()
+    const started = []
+    loader.fetcher = (url, init) => {
+        started.push(url)
+        controller.abort()
+        return new Promise((resolve, reject) => init.signal.addEventListener("abort", () => reject(init.signal.reason)))
+    }
+    const ids = ["a", "b", "c"].map(name => `https://iiif.example/line/${name}`)
+
+    await assert.rejects(loader.loadAll(ids, { signal: controller.signal }), { name: "AbortError" })
+    assert.deepEqual(started, [ids[0]])
+})
+
+test("one caller giving up does not cancel an annotation another is waiting for", async () => {
+    const loader = new AnnotationLoader({ persistent: false })
+    const id = "https://iiif.example/line/a"
+    let answer
+    const signals = []
+    loader.fetcher = (url, init) => {
+        signals.push(init.signal)
+        return new Promise(resolve => { answer = resolve })
+    }
+    const controller = new AbortController()
+
+    const abandoned = loader.load(id, { signal: controller.signal })
+    const kept = loader.load(id)
+    controller.abort()
+    await assert.rejects(abandoned, { name: "AbortError" })
+    assert.equal(signals[0].aborted, false)
+
+    answer(new Response(JSON.stringify({ id }), { status: 200 }))
+    assert.deepEqual(await kept, { id })
+    assert.equal(signals.length, 1)
+})
+
+test("resources fetched with credentials are kept in memory only", async () => {
+    const service = new IIIFDataService({
+        adapter: new TPENAdapter({
+            getToken: () => "token",
+            fetch: async () => new Response("{\"id\":\"x\"}", { headers: { ETag: "\"v1\"", "Cache-Control": "max-age=60" } })
+        })
+    })
+    service.cache.store = storeWith()
+    service.annotationLoader.store = storeWith()
+
+    await service.fetchJSON("https://api.t-pen.org/project/1")
+    await service.annotationLoader.load("https://api.t-pen.org/line/1")
+    await service.fetchJSON("https://iiif.example/manifest")
+
+    assert.deepEqual(service.cache.store.written.map(entry => entry.url), ["https://iiif.example/manifest"])
+    assert.deepEqual(service.annotationLoader.store.written, [])
+    // Still answered from memory
+    assert.deepEqual(await service.fetchJSON("https://api.t-pen.org/project/1"), { id: "x" })
+})
+
+test("a page's target canvas is fetched through the cache", async () => {
+    const canvas = {
+        id: "https://iiif.example/canvas/1",
+        type: "Canvas",
+        width: 100,
+        height: 100,
+        items: [{
+            type: "AnnotationPage",
+            items: [{
+                type: "Annotation",
+                motivation: "painting",
+                target: "https://iiif.example/canvas/1",
+                body: { id: "https://iiif.example/page.jpg", type: "Image", width: 100, height: 100 }
+            }]
+        }]
+    }
+    const { fetcher, requests } = answering(canvas, { "Cache-Control": "max-age=60" })
+    const service = new IIIFDataService({ cache: { persistent: false }, fetch: fetcher })
+    const page = { type: "AnnotationPage", target: canvas.id, items: [] }
+
+    await service.processPageData(page)
+    await service.processPageData(page)
+    assert.equal(requests.filter(request => request.url === canvas.id).length, 1)
+})
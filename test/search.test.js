@@ -0,0 +1,67 @@
+/**
+ * Search hits are selected like clicked lines, and a search the parent
+ * sent stays the active one.
+ */
+import { test, beforeEach, mock } from "node:test"
+import assert from "node:assert/strict"
+import { installDom } from "./dom.js"
+
+installDom()
+const { PageViewer } = await import("../viewer.js")
+
+let viewer
+let ui
+let post
+
+const LINES = ["in principio", "erat verbum", "et verbum erat"].map((text, index) => ({
+    lineid: `https://example.org/line/${index}`,
+    text,
+    target: `xywh=50,${100 + index * 100},400,50`
+}))
+
+function posted(type) {
+    return post.mock.calls.filter(({ arguments: [name] }) => name === type).map(({ arguments: [, payload] }) => payload)
+}
+
+beforeEach(() => {
+    viewer?.uiManager.clear()
+    document.body.replaceChildren(Object.assign(document.createElement("div"), { id: "imageContainer" }))
+    history.replaceState(null, "", "/index.html")
+    viewer = new PageViewer("imageContainer", {
+        cache: { persistent: false },
+        fetch: async () => new Response("Not found", { status: 404 })
+    })
+    ui = viewer.uiManager
+    post = mock.method(viewer.messageHandler, "post", () => null)
+
+    ui.renderMagnifier()
+    ui.renderEditControls()
+    ui.renderSearchBox()
+    ui.renderImage("https://example.org/page.jpg", null, { width: 1000, height: 1000 })
+    ui.renderAnnotations(LINES.map(line => ({ ...line })), 1000, 1000)
+})
+
+test("stepping through hits selects each one for the parent and the URL", async () => {
+    await viewer.search("verbum")
+    ui.stepSearchHit(1)
+
+    assert.deepEqual(posted("NAVIGATE_TO_LINE").map(payload => payload.lineId), [LINES[1].lineid, LINES[2].lineid])
+    assert.equal(new URLSearchParams(location.search).get("annotation"), LINES[2].lineid)
+    assert.equal(document.querySelector(".overlayBox.clicked").dataset.lineid, "2")
+})
+
+test("a search from the parent is shown in the box and survives an edit", async () => {
+    await viewer.search("ERAT", { caseSensitive: true })
+    assert.equal(document.querySelector(".lineSearch input[type=search]").value, "ERAT")
+    assert.equal(document.querySelector(".lineSearch .searchOption input").checked, true)
+    assert.equal(ui.searchHits.length, 0)
+
+    await viewer.search("erat")
+    assert.equal(ui.searchHits.length, 2)
+    viewer.setEditMode(true)
+    ui.lineEditor.split(0)
+
+    assert.deepEqual(ui.searchSettings, { query: "erat", options: { caseSensitive: false, diacriticSensitive: false } })
+    assert.equal(ui.searchHits.length, 2)
+    assert.equal(document.querySelector(".searchCount").textContent, "2 matches")
+})
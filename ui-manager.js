@@ -1,5 +1,56 @@
 import { IIIFDataService } from './iiif-data-service.js'
-import { MagnifierTool, showMagnifier } from "https://app.t-pen.org/components/magnifier-tool/index.js"
+import { DeepZoom } from './deep-zoom.js'
+import { ImageAdjustments } from './image-adjustments.js'
+import { AnnotationStyles } from './annotation-styles.js'
+import { LineEditor } from './line-editor.js'
+import { ReadingOrder, READING_ORDERS } from './reading-order.js'
+
+/**
+ * Canvas pixels shown around a cropped region unless configured otherwise
+ */
+const DEFAULT_REGION_PADDING = 20
+
+/**
+ * Overlay styling modes; `outline` is the default
+ */
+const OVERLAY_STYLES = ["outline", "tint", "underline", "hover"]
+
+/**
+ * How the page is fitted into the viewer, by fit mode; `width` is the default
+ */
+const FIT_CHOICES = {
+    width: "Fit width",
+    height: "Fit height",
+    page: "Whole page",
+    actual: "Actual size"
+}
+
+/**
+ * Smallest height, in pixels, the viewport is given in a short window
+ */
+const MIN_VIEWPORT_HEIGHT = 200
+
+/**
+ * Longest side, in pixels, of the low-resolution image shown while the full one loads
+ */
+const PLACEHOLDER_SIZE = 300
+
+/**
+ * Longest side, in pixels, of the image requested for an image export
+ */
+const EXPORT_IMAGE_SIZE = 3000
+
+/**
+ * Choices in the export menu, by export format
+ */
+const EXPORT_CHOICES = {
+    png: "Image (PNG)",
+    jpeg: "Image (JPEG)",
+    annotations: "Annotations (JSON)",
+    text: "Text",
+    alto: "ALTO XML",
+    page: "PAGE XML"
+}
 
 /**
  * UI Manager - Handles all user interface operations
@@ -9,91 +60,1478 @@ import { MagnifierTool, showMagnifier } from "https://app.t-pen.org/components/m
  * @author Patrick Cuba @cubap
  */
 export class UIManager {
-    constructor(containerId = 'imageContainer') {
+    #stripCanvases = null
+    #dataStyles = new Map()
+    #paintingControls = new Map()
+    #imageRequest = null
+    #pendingImage = null
+    #resizeObserver = null
+    #observedWidth = 0
+    #layoutFrame = null
+    #search = { query: '', options: { caseSensitive: false, diacriticSensitive: false } }
+
+    constructor(containerId = 'imageContainer', dataService = new IIIFDataService()) {
         this.container = document.getElementById(containerId)
         this.currentAnnotations = []
         this.eventHandlers = new Map()
-        this.dataService = new IIIFDataService() // For coordinate parsing
+        this.dataService = dataService // For coordinate parsing
         this.magnifierTool = null
+        this.toolbar = null
+        this.viewport = null
+        this.stage = null
+        this.plane = null
+        this.surface = null
+        this.deepZoom = null
+        this.lineEditor = null
+        this.editing = false
+        this.onEdit = null
+        this.onExport = null
+        this.onOpenFiles = null
+        this.imageAdjustments = new ImageAdjustments()
+        this.region = null
+        this.regionPadding = DEFAULT_REGION_PADDING
+        this.overlayStyle = OVERLAY_STYLES[0]
+        this.annotationStyleRules = []
+        this.annotationStyles = new AnnotationStyles({
+            fetch: (url, init) => this.dataService.fetchResource(url, init)
+        })
+        this.imageService = null
+        this.imageSize = null
+        this.shownSize = null
+        this.fitMode = 'width'
+        this.baseImageUrl = null
+        this.placeholderUrl = null
+        this.paintingLayers = []
+        this.baseLayer = -1
+        this.canvasList = []
+        this.canvasIndex = -1
+        this.canvasStrip = null
+        this.showCanvasStrip = false
+        this.onNavigateCanvas = null
+        this.onSelectAnnotation = null
+        this.annotationLayers = []
+        this.hiddenLayers = new Set()
+        this.structuralEdits = true
+        this.showTranscription = false
+        this.transcriptionPanel = null
+        this.searchHits = []
+        this.searchPosition = -1
+        this.onSearch = null
+        this.liveRegion = null
+        this.overlaySize = null
+        this.readingOrder = new ReadingOrder(dataService)
+        this.readingOrderMode = READING_ORDERS[0]
+        this.lineOrder = []
+
+        window.addEventListener('resize', () => this.#scheduleLayout())
+    }
+
+    /**
+     * Display error message to user. The message is inserted as text, so
+     * server-provided error details cannot inject markup.
+     * @param {string} message - Error message to display
+     */
+    showError(message) {
+        const error = document.createElement('div')
+        error.className = 'error-message'
+        error.setAttribute('role', 'alert')
+
+        const label = document.createElement('strong')
+        label.textContent = 'Error:'
+        error.append(label, ` ${message}`)
+
+        this.container.replaceChildren(error)
+    }
+
+    /**
+     * Display the "login required" state for a restricted resource, using the
+     * wording the access service provides.
+     * @param {Object} service - Access service {heading, label, note, confirmLabel}
+     * @param {Function|null} onLogin - Called from the button's click handler; null when there is nothing to click
+     * @param {string} [failure] - Why the last login attempt did not work
+     */
+    showLoginRequired(service, onLogin, failure = null) {
+        const prompt = document.createElement('div')
+        prompt.className = 'loginRequired'
+        prompt.setAttribute('role', 'alert')
+
+        const heading = document.createElement('strong')
+        heading.textContent = service?.heading ?? service?.label ?? 'Login required'
+        const note = document.createElement('p')
+        note.textContent = service?.note ?? 'This item is restricted. Log in with its provider to view it.'
+        prompt.append(heading, note)
+
+        if (failure) {
+            const error = document.createElement('p')
+            error.className = 'loginFailure'
+            error.textContent = failure
+            prompt.append(error)
+        }
+
+        if (onLogin) {
+            const button = document.createElement('button')
+            button.type = 'button'
+            button.className = 'toolButton'
+            button.textContent = service?.confirmLabel ?? service?.label ?? 'Log in'
+            button.addEventListener('click', () => {
+                button.disabled = true
+                onLogin()
+            })
+            prompt.append(button)
+        }
+
+        this.container.replaceChildren(prompt)
+    }
+
+    /**
+     * Display loading state
+     * @param {string} message - Loading message
+     */
+    showLoading(message = "Loading canvas data...") {
+        const loading = document.createElement('div')
+        loading.className = 'loading'
+        loading.setAttribute('role', 'status')
+        loading.setAttribute('aria-live', 'polite')
+        loading.textContent = message
+
+        this.container.replaceChildren(loading)
+    }
+
+    /**
+     * Render the magnifier tool
+     */
+    renderMagnifier() {
+        this.container.replaceChildren()
+
+        this.toolbar = document.createElement('div')
+        this.toolbar.className = 'viewerToolbar'
+        this.toolbar.setAttribute('role', 'toolbar')
+        this.toolbar.setAttribute('aria-label', 'Viewer tools')
+        this.container.appendChild(this.toolbar)
+
+        const magnifierButton = document.createElement('button')
+        magnifierButton.className = 'magnifier'
+        magnifierButton.type = 'button'
+        magnifierButton.textContent = 'Inspect 🔍'
+        
+        this.toolbar.appendChild(magnifierButton)
+
+        magnifierButton.addEventListener('click', async () => {
+            if (!this.magnifierTool) {
+                // The magnifier is optional; load it only when first used
+                let magnifier
+                try {
+                    magnifier = await import('./magnifier-tool.js')
+                } catch (error) {
+                    console.warn('Magnifier unavailable:', error)
+                    magnifierButton.remove()
+                    return
+                }
+
+                this.showMagnifier = magnifier.showMagnifier
+                this.magnifierTool = new magnifier.MagnifierTool()
+                this.magnifierTool.boundsOffset = 100
+                this.magnifierTool.render()
+                this.magnifierTool.addEventListeners()
+                document.body.appendChild(this.magnifierTool)
+
+                document.addEventListener('keydown', (e) => {
+                    if (e.key === 'Escape' && this.magnifierTool?.isMagnifierVisible) {
+                        this.magnifierTool.hideMagnifier()
+                        this.toolbar?.querySelector('.magnifier')?.style.removeProperty('display')
+                    }
+                })
+            }
+
+            const img = this.stage?.querySelector('#canvasImage')
+            if (img) this.magnifierTool.imageElem = img
+
+            this.showMagnifier(this.magnifierTool)
+            magnifierButton.style.display = 'none'
+        })
+    }
+
+    /**
+     * Render the image controls next to the magnifier: rotate, mirror, crop
+     * to the selected line, the qualities the image service offers, and a
+     * panel of display filters.
+     * @param {Object|null} imageService - IIIF Image API info.json of the image
+     */
+    renderImageControls(imageService = null) {
+        if (!this.toolbar) return
+
+        const controls = document.createElement('div')
+        controls.className = 'imageControls'
+
+        const rotateLeft = this.#createToolButton('⟲', 'Rotate left')
+        const rotateRight = this.#createToolButton('⟳', 'Rotate right')
+        const mirror = this.#createToolButton('⇋', 'Mirror')
+        mirror.setAttribute('aria-pressed', String(this.imageAdjustments.mirror))
+
+        rotateLeft.addEventListener('click', () => {
+            this.setImageAdjustments(this.imageAdjustments.with({ rotation: this.imageAdjustments.rotation - 90 }))
+        })
+        rotateRight.addEventListener('click', () => {
+            this.setImageAdjustments(this.imageAdjustments.with({ rotation: this.imageAdjustments.rotation + 90 }))
+        })
+        mirror.addEventListener('click', () => {
+            this.setImageAdjustments(this.imageAdjustments.with({ mirror: !this.imageAdjustments.mirror }))
+            mirror.setAttribute('aria-pressed', String(this.imageAdjustments.mirror))
+        })
+        const crop = this.#createToolButton('Crop', 'Show only the selected line')
+        crop.classList.add('cropToLine')
+        crop.setAttribute('aria-pressed', String(this.region === 'annotation'))
+        crop.addEventListener('click', () => {
+            this.setRegion(this.region === 'annotation' ? null : 'annotation')
+        })
+
+        controls.append(rotateLeft, rotateRight, mirror, crop)
+
+        const { qualities } = this.dataService.getImageFeatures(imageService)
+        if (qualities.length > 1) {
+            const quality = document.createElement('select')
+            quality.className = 'imageQuality'
+            quality.title = 'Image quality'
+            quality.setAttribute('aria-label', 'Image quality')
+            qualities.forEach(value => quality.add(new Option(value, value)))
+            quality.value = qualities.includes(this.imageAdjustments.quality) ? this.imageAdjustments.quality : 'default'
+            quality.addEventListener('change', () => {
+                this.setImageAdjustments(this.imageAdjustments.with({ quality: quality.value }))
+            })
+            controls.appendChild(quality)
+        }
+
+        controls.appendChild(this.#createFilterPanel())
+        this.toolbar.appendChild(controls)
+    }
+
+    /**
+     * Create the toggle and panel for brightness, contrast and invert
+     * @returns {HTMLElement} Filter picker
+     */
+    #createFilterPanel() {
+        const picker = document.createElement('div')
+        picker.className = 'filterPicker'
+
+        const toggle = this.#createToolButton('Adjust', 'Adjust brightness and contrast')
+        toggle.setAttribute('aria-expanded', 'false')
+
+        const panel = document.createElement('fieldset')
+        panel.className = 'filterPanel'
+        panel.id = 'filterPanel'
+        panel.hidden = true
+        toggle.setAttribute('aria-controls', panel.id)
+
+        const legend = document.createElement('legend')
+        legend.textContent = 'Image display'
+
+        const createSlider = (name, label) => {
+            const slider = document.createElement('input')
+            slider.type = 'range'
+            slider.min = '0'
+            slider.max = '200'
+            slider.step = '5'
+            slider.value = String(this.imageAdjustments[name])
+            slider.addEventListener('input', () => {
+                this.setImageAdjustments(this.imageAdjustments.with({ [name]: Number(slider.value) }))
+            })
+            const wrapper = document.createElement('label')
+            wrapper.append(label, slider)
+            return wrapper
+        }
+        const brightness = createSlider('brightness', 'Brightness')
+        const contrast = createSlider('contrast', 'Contrast')
+
+        const invert = document.createElement('label')
+        const invertBox = document.createElement('input')
+        invertBox.type = 'checkbox'
+        invertBox.checked = this.imageAdjustments.invert
+        invertBox.addEventListener('change', () => {
+            this.setImageAdjustments(this.imageAdjustments.with({ invert: invertBox.checked }))
+        })
+        invert.append(invertBox, ' Invert')
+
+        const reset = this.#createToolButton('Reset', 'Reset brightness, contrast and invert')
+        reset.addEventListener('click', () => {
+            this.setImageAdjustments(this.imageAdjustments.with({ brightness: 100, contrast: 100, invert: false }))
+            brightness.querySelector('input').value = '100'
+            contrast.querySelector('input').value = '100'
+            invertBox.checked = false
+        })
+
+        toggle.addEventListener('click', () => {
+            panel.hidden = !panel.hidden
+            toggle.setAttribute('aria-expanded', String(!panel.hidden))
+        })
+
+        panel.append(legend, brightness, contrast, invert, reset)
+        picker.append(toggle, panel)
+        return picker
+    }
+
+    /**
+     * Change the image settings, keep them in the URL and redraw the image
+     * @param {ImageAdjustments} adjustments - New settings
+     */
+    setImageAdjustments(adjustments) {
+        this.imageAdjustments = adjustments
+        this.updateUrlState(adjustments.toUrlState())
+        this.#updateImageView()
+    }
+
+    /**
+     * Show only part of the canvas. The region is kept in the `region` and
+     * `regionPadding` URL parameters.
+     * @param {string|null} region - `x,y,w,h` or `pct:x,y,w,h` in canvas coordinates,
+     *   `annotation` to follow the selected line, or null for the whole canvas
+     * @param {Object} [options]
+     * @param {number} [options.padding] - Canvas pixels added around the region
+     */
+    setRegion(region, { padding } = {}) {
+        this.region = region || null
+        if (Number.isFinite(padding) && padding >= 0) this.regionPadding = padding
+
+        this.updateUrlState({
+            region: this.region,
+            regionPadding: this.regionPadding === DEFAULT_REGION_PADDING ? null : this.regionPadding
+        })
+        this.toolbar?.querySelector('.cropToLine')?.setAttribute('aria-pressed', String(this.region === 'annotation'))
+        this.#updateImageView()
+    }
+
+    /**
+     * The part of the canvas on show, padded and clamped to the canvas
+     * @returns {Object|null} Region in canvas coordinates {x, y, w, h}, or null for the whole canvas
+     */
+    #currentRegion() {
+        const { width = 0, height = 0 } = this.imageSize ?? {}
+        if (!this.region || !width || !height) return null
+
+        let bounds
+        if (this.region === 'annotation') {
+            const selected = this.stage?.querySelector('.overlayBox.clicked')
+            const anno = selected ? this.currentAnnotations[Number(selected.dataset.lineid)] : null
+            if (!anno?.target) return null
+            bounds = this.dataService.parseSelector(anno.target, width, height)
+                ?? this.dataService.parseXYWH(anno.target, width, height)
+        } else {
+            const fragment = this.region.includes('xywh=') ? this.region : `xywh=${this.region}`
+            bounds = this.dataService.parseXYWH(fragment, width, height)
+        }
+
+        const padding = this.regionPadding
+        const x = Math.max(0, bounds.x - padding)
+        const y = Math.max(0, bounds.y - padding)
+        const w = Math.min(width, bounds.x + bounds.w + padding) - x
+        const h = Math.min(height, bounds.y + bounds.h + padding) - y
+        return w > 0 && h > 0 ? { x, y, w, h } : null
+    }
+
+    /**
+     * Draw the image with the current settings and region. The plane is
+     * rotated and mirrored with CSS so overlays turn with the image; it
+     * clips the canvas surface (image, tiles and overlays) to the region.
+     * When the image service supports it, the region, rotation and
+     * mirroring are requested from the service instead, at the size the
+     * page is shown at rather than the size of the canvas. A small
+     * rendition stands in while a new image loads if the one on screen
+     * would be out of place.
+     */
+    #updateImageView() {
+        const img = this.stage?.querySelector('#canvasImage')
+        if (!img) return
+
+        const features = this.dataService.getImageFeatures(this.imageService)
+        const settings = this.imageAdjustments.with({
+            quality: features.qualities.includes(this.imageAdjustments.quality) ? this.imageAdjustments.quality : 'default'
+        })
+        const { width = 0, height = 0 } = this.imageSize ?? {}
+        const region = this.#currentRegion()
+        const view = region ?? { x: 0, y: 0, w: width, h: height }
+        const oriented = settings.rotation !== 0 || settings.mirror
+        const rotatedByService = Boolean(this.imageService) && oriented && features.rotationBy90s &&
+            (!settings.mirror || features.mirroring)
+        const percent = (value, total) => `${total ? (value / total) * 100 : 0}%`
+
+        let fitted = null
+        if (width && height) {
+            const [shownWidth, shownHeight] = settings.isQuarterTurn ? [view.h, view.w] : [view.w, view.h]
+            this.shownSize = { width: shownWidth, height: shownHeight }
+            this.stage.style.aspectRatio = `${shownWidth} / ${shownHeight}`
+            this.plane.style.width = `${(settings.isQuarterTurn ? view.w / view.h : 1) * 100}%`
+            this.plane.style.height = `${(settings.isQuarterTurn ? view.h / view.w : 1) * 100}%`
+            Object.assign(this.surface.style, {
+                left: percent(-view.x, view.w),
+                top: percent(-view.y, view.h),
+                width: percent(width, view.w),
+                height: percent(height, view.h)
+            })
+            fitted = this.#applyFit()
+        }
+
+        let src = this.baseImageUrl
+        let placeholder = null
+        if (this.imageService && width && height) {
+            // The region is in canvas coordinates; the service counts image pixels
+            const scaleX = (this.imageService.width ?? width) / width
+            const scaleY = (this.imageService.height ?? height) / height
+            const imageRegion = {
+                x: Math.round(view.x * scaleX),
+                y: Math.round(view.y * scaleY),
+                w: Math.round(view.w * scaleX),
+                h: Math.round(view.h * scaleY)
+            }
+            const size = this.#requestSize(fitted, settings, imageRegion)
+            const request = {
+                region: region && imageRegion,
+                rotation: rotatedByService ? settings.rotationParameter : '0',
+                quality: settings.quality
+            }
+            src = this.dataService.constructIIIFImageUrl(this.imageService, size.width, size.height, request)
+            placeholder = this.dataService.constructIIIFImageUrl(this.imageService, PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, request)
+        } else if (!img.getAttribute('src') && this.imageSize) {
+            // Without a service, the canvas thumbnail can stand in until the first image arrives
+            placeholder = this.placeholderUrl
+        }
+        rotatedByService ? this.stage.prepend(img) : this.surface.prepend(img)
+
+        // An image cropped by the service covers just the region of the surface
+        const croppedByService = Boolean(region) && src !== this.baseImageUrl && !rotatedByService
+        const imageBox = croppedByService ? view : { x: 0, y: 0, w: width, h: height }
+        Object.assign(img.style, croppedByService
+            ? { left: percent(imageBox.x, width), top: percent(imageBox.y, height), width: percent(imageBox.w, width), height: percent(imageBox.h, height) }
+            : { left: '', top: '', width: '', height: '' })
+
+        // The image on screen can stay until the new one loads unless it was placed differently
+        const geometry = [rotatedByService, ...Object.values(imageBox)].join()
+        const moved = img.dataset.geometry !== geometry
+        img.dataset.geometry = geometry
+        this.#showImage(img, src, moved || !img.getAttribute('src') ? placeholder : null)
+
+        this.plane.classList.toggle('cropped', Boolean(region))
+        this.plane.style.transform = `translate(-50%, -50%) ${settings.transform}`.trim()
+        this.plane.style.setProperty('--counterRotation', `${-settings.rotation}deg`)
+        this.plane.style.setProperty('--mirrorScale', settings.mirror ? '-1' : '1')
+        this.stage.style.setProperty('--imageFilter', settings.filter)
+
+        this.deepZoom?.setAdjustments(settings)
+    }
+
+    /**
+     * Show a new image source once it has loaded, with the placeholder, if
+     * given, or else the image already on screen, shown in the meantime
+     * @param {HTMLImageElement} img - The canvas image
+     * @param {string} src - Image to show
+     * @param {string|null} placeholder - Small image to show until then
+     */
+    #showImage(img, src, placeholder) {
+        if (img.getAttribute('src') === src) {
+            this.#pendingImage = null
+            return
+        }
+        if (this.#pendingImage?.getAttribute('src') === src) return
+        if (!placeholder && !img.getAttribute('src')) {
+            this.#pendingImage = null
+            img.src = src
+            return
+        }
+        if (placeholder) img.src = placeholder
+
+        const pending = this.#pendingImage = new Image()
+        // A failure is left for the canvas image to report
+        pending.onload = pending.onerror = () => {
+            if (this.#pendingImage !== pending) return
+            this.#pendingImage = null
+            img.src = src
+        }
+        pending.src = src
+    }
+
+    /**
+     * Size of the image to request for a region: its size on screen in
+     * device pixels, never less than was already requested for the same
+     * region, so shrinking the window does not fetch the image again.
+     * @param {Object|null} fitted - Stage size on screen {width, height}, null before layout
+     * @param {ImageAdjustments} settings - Current image settings
+     * @param {Object} imageRegion - Region in image pixels {x, y, w, h}
+     * @returns {Object} Requested size {width, height}
+     */
+    #requestSize(fitted, settings, imageRegion) {
+        if (!fitted) return { width: imageRegion.w, height: imageRegion.h }
+
+        // The region is requested upright; a quarter turn swaps the sides shown on screen
+        const density = window.devicePixelRatio || 1
+        const [shownWidth, shownHeight] = settings.isQuarterTurn ? [fitted.height, fitted.width] : [fitted.width, fitted.height]
+        const key = [this.imageService?.id ?? this.imageService?.['@id'], Object.values(imageRegion).join()].join(' ')
+        const width = Math.ceil(shownWidth * density)
+        const height = Math.ceil(shownHeight * density)
+
+        if (this.#imageRequest?.key !== key || width > this.#imageRequest.width || height > this.#imageRequest.height) {
+            this.#imageRequest = { key, width, height }
+        }
+        return { width: this.#imageRequest.width, height: this.#imageRequest.height }
+    }
+
+    /**
+     * Choose how the page fits the viewer: the viewer's `width` (default),
+     * the window `height`, the whole `page`, or `actual` image pixels. The
+     * mode is kept in the `fit` URL parameter.
+     * @param {string} mode - `width`, `height`, `page` or `actual`
+     */
+    setFitMode(mode) {
+        this.fitMode = Object.hasOwn(FIT_CHOICES, mode) ? mode : 'width'
+        this.updateUrlState({ fit: this.fitMode === 'width' ? null : this.fitMode })
+        const select = this.toolbar?.querySelector('.fitMode')
+        if (select) select.value = this.fitMode
+        this.deepZoom?.reset()
+        this.#updateImageView()
+    }
+
+    /**
+     * Size the stage for the fit mode and keep the viewport within the
+     * window, so a page larger than the viewer scrolls inside the viewport
+     * and never moves the embedding page.
+     * @returns {Object|null} Stage size {width, height} in CSS pixels, or null while the viewer is not laid out
+     */
+    #applyFit() {
+        if (!this.viewport?.clientWidth || !this.shownSize) return null
+
+        const { width: shownWidth, height: shownHeight } = this.shownSize
+        const top = this.viewport.getBoundingClientRect().top + window.scrollY
+        const available = Math.max(MIN_VIEWPORT_HEIGHT, window.innerHeight - top)
+        const fit = (roomWidth, roomHeight) => {
+            const scale = {
+                width: roomWidth / shownWidth,
+                height: roomHeight / shownHeight,
+                page: Math.min(roomWidth / shownWidth, roomHeight / shownHeight),
+                actual: this.#pixelScale()
+            }[this.fitMode]
+            return { width: shownWidth * scale, height: shownHeight * scale }
+        }
+        const apply = (size, viewportHeight) => {
+            this.stage.style.width = `${size.width}px`
+            this.stage.style.height = `${size.height}px`
+            this.viewport.style.height = `${Math.min(viewportHeight, available)}px`
+        }
+
+        let size = fit(this.viewport.clientWidth, available)
+        apply(size, size.height)
+        // Scrollbars that appeared take room from the viewport; fit again inside them
+        const scrollbar = this.viewport.offsetHeight - this.viewport.clientHeight
+        size = fit(this.viewport.clientWidth, available - scrollbar)
+        apply(size, size.height + scrollbar)
+        return size
+    }
+
+    /**
+     * Image pixels per canvas unit, for showing the page at its actual size
+     * @returns {number} Scale
+     */
+    #pixelScale() {
+        const canvasWidth = this.imageSize?.width
+        const img = this.stage?.querySelector('#canvasImage')
+        const imageWidth = this.imageService?.width ?? (img?.naturalWidth || canvasWidth)
+        return canvasWidth && imageWidth ? imageWidth / canvasWidth : 1
+    }
+
+    /**
+     * Lay the page out again on the next frame after the viewer or window
+     * is resized
+     */
+    #scheduleLayout() {
+        if (this.#layoutFrame) cancelAnimationFrame(this.#layoutFrame)
+        this.#layoutFrame = requestAnimationFrame(() => {
+            this.#layoutFrame = null
+            this.#updateImageView()
+        })
+    }
+
+    /**
+     * Render the pan/zoom toggle and zoom buttons into the toolbar.
+     * Zooming is off by default so the page scrolls normally in the iframe.
+     */
+    renderZoomControls() {
+        if (!this.toolbar) return
+
+        const controls = document.createElement('div')
+        controls.className = 'zoomControls'
+
+        const toggle = this.#createToolButton('Pan & Zoom', 'Toggle pan and zoom')
+        toggle.setAttribute('aria-pressed', 'false')
+
+        const zoomIn = this.#createToolButton('+', 'Zoom in')
+        const zoomOut = this.#createToolButton('−', 'Zoom out')
+        const reset = this.#createToolButton('Fit', 'Reset zoom')
+        const steps = [zoomIn, zoomOut, reset]
+        steps.forEach(button => { button.hidden = true })
+
+        const fit = document.createElement('select')
+        fit.className = 'fitMode'
+        fit.title = 'Page size'
+        fit.setAttribute('aria-label', 'Page size')
+        Object.entries(FIT_CHOICES).forEach(([mode, label]) => fit.add(new Option(label, mode)))
+        fit.value = this.fitMode
+        fit.addEventListener('change', () => this.setFitMode(fit.value))
+
+        toggle.addEventListener('click', () => {
+            if (!this.deepZoom) return
+            const enable = !this.deepZoom.enabled
+            enable ? this.deepZoom.enable() : this.deepZoom.disable()
+            toggle.setAttribute('aria-pressed', String(enable))
+            steps.forEach(button => { button.hidden = !enable })
+        })
+        zoomIn.addEventListener('click', () => this.deepZoom?.zoomBy(1.5))
+        zoomOut.addEventListener('click', () => this.deepZoom?.zoomBy(1 / 1.5))
+        reset.addEventListener('click', () => this.deepZoom?.reset())
+
+        controls.append(fit, toggle, ...steps)
+        this.toolbar.appendChild(controls)
+    }
+
+    /**
+     * Render the line editing tools: draw a new box, split or merge the
+     * selected line, undo and redo. They are shown while edit mode is on.
+     */
+    renderEditControls() {
+        if (!this.toolbar) return
+
+        const controls = document.createElement('div')
+        controls.className = 'editControls'
+
+        const draw = this.#createToolButton('Draw', 'Draw a new line box')
+        draw.classList.add('editDraw')
+        const split = this.#createToolButton('Split', 'Split the selected line in two')
+        split.classList.add('editSplit')
+        const merge = this.#createToolButton('Merge', 'Merge the selected line with the next one in reading order')
+        merge.classList.add('editMerge')
+        const undo = this.#createToolButton('↶', 'Undo')
+        undo.classList.add('editUndo')
+        const redo = this.#createToolButton('↷', 'Redo')
+        redo.classList.add('editRedo')
+
+        draw.addEventListener('click', () => this.lineEditor?.setDrawing(!this.lineEditor.drawing))
+        split.addEventListener('click', () => {
+            const index = this.#selectedIndex()
+            if (index !== null) this.lineEditor?.split(index)
+        })
+        merge.addEventListener('click', () => {
+            const index = this.#selectedIndex()
+            if (index !== null) this.lineEditor?.merge(index)
+        })
+        undo.addEventListener('click', () => this.lineEditor?.undo())
+        redo.addEventListener('click', () => this.lineEditor?.redo())
+
+        controls.append(draw, split, merge, undo, redo)
+        this.toolbar.appendChild(controls)
+        this.#updateEditControls()
+    }
+
+    /**
+     * Render the export menu. Choosing a format hands it to `onExport`;
+     * the status next to the menu reports progress and failures.
+     */
+    renderExportMenu() {
+        if (!this.toolbar) return
+
+        const picker = document.createElement('div')
+        picker.className = 'exportPicker'
+
+        const menu = document.createElement('select')
+        menu.className = 'exportFormat'
+        menu.title = 'Export this page'
+        menu.setAttribute('aria-label', 'Export this page')
+        menu.add(new Option('Export…', ''))
+        Object.entries(EXPORT_CHOICES).forEach(([format, label]) => menu.add(new Option(label, format)))
+
+        const status = document.createElement('span')
+        status.className = 'exportStatus'
+        status.setAttribute('role', 'status')
+
+        menu.addEventListener('change', () => {
+            const format = menu.value
+            menu.value = ''
+            if (format) this.onExport?.(format)
+        })
+
+        picker.append(menu, status)
+        this.toolbar.appendChild(picker)
+    }
+
+    /**
+     * Accept files dropped anywhere on the viewer and hand them to `onOpenFiles`
+     */
+    enableFileDrop() {
+        const hasFiles = (event) => event.dataTransfer?.types.includes('Files')
+
+        this.container.addEventListener('dragover', (event) => {
+            if (!hasFiles(event)) return
+            event.preventDefault()
+            event.dataTransfer.dropEffect = 'copy'
+            this.container.classList.add('dropTarget')
+        })
+        this.container.addEventListener('dragleave', (event) => {
+            if (!this.container.contains(event.relatedTarget)) this.container.classList.remove('dropTarget')
+        })
+        this.container.addEventListener('drop', (event) => {
+            if (!hasFiles(event)) return
+            event.preventDefault()
+            this.container.classList.remove('dropTarget')
+            const files = [...event.dataTransfer.files]
+            if (files.length) this.onOpenFiles?.(files)
+        })
+    }
+
+    /**
+     * Render a button that opens local files: a manifest, canvas or
+     * annotation page, ALTO, PAGE XML or hOCR, and page images
+     * @param {HTMLElement} [parent] - Where to put the button; the toolbar by default
+     */
+    renderFileImport(parent = this.toolbar) {
+        if (!parent) return
+
+        const input = document.createElement('input')
+        input.type = 'file'
+        input.multiple = true
+        input.hidden = true
+        input.accept = '.json,.jsonld,.xml,.alto,.hocr,.html,.xhtml,image/*'
+
+        const open = this.#createToolButton('Open…', 'Open local files (manifest, annotations, ALTO, PAGE XML, hOCR or images)')
+        open.classList.add('openFiles')
+        open.addEventListener('click', () => input.click())
+        input.addEventListener('change', () => {
+            const files = [...input.files]
+            input.value = ''
+            if (files.length) this.onOpenFiles?.(files)
+        })
+
+        parent.append(open, input)
+    }
+
+    /**
+     * Show a short export status next to the export menu
+     * @param {string} message - Status text, empty to clear it
+     */
+    setExportStatus(message) {
+        const status = this.toolbar?.querySelector('.exportStatus')
+        if (status) status.textContent = message
+    }
+
+    /**
+     * What an image export should draw: the image source at export size,
+     * the canvas size, the visible region and image settings, and each
+     * visible line with the colors its overlay is drawn in. Painting
+     * layers over the base image come along with their opacity; `src` is
+     * null when the canvas has no base image of its own.
+     * @returns {Object|null} {src, opacity, width, height, region, adjustments, layers, lines}, or null without an image
+     */
+    exportView() {
+        if (!this.surface || !this.overlaySize) return null
+
+        const { qualities } = this.dataService.getImageFeatures(this.imageService)
+        const quality = qualities.includes(this.imageAdjustments.quality) ? this.imageAdjustments.quality : 'default'
+        const src = this.imageService
+            ? this.dataService.constructIIIFImageUrl(this.imageService, EXPORT_IMAGE_SIZE, EXPORT_IMAGE_SIZE, { quality })
+            : this.baseImageUrl
+        const hasBase = this.baseLayer !== -1 || !this.paintingLayers.length
+        const layers = this.paintingLayers.flatMap((layer, index) =>
+            index !== this.baseLayer && layer.src && layer.opacity > 0
+                ? [{ src: layer.src, region: layer.region, opacity: layer.opacity }]
+                : [])
+
+        const lines = this.currentAnnotations.flatMap((anno, index) => {
+            const box = this.#resolveAnnotationTarget(index)
+            if (!box || box.classList.contains('layerHidden')) return []
+            const style = getComputedStyle(box)
+            const fill = style.getPropertyValue('--overlayFill').trim()
+            return [{
+                anno,
+                color: style.getPropertyValue('--overlayColor').trim() || 'rgb(0, 90, 140)',
+                fill: fill && fill !== 'transparent' ? fill : null
+            }]
+        })
+
+        return {
+            src: hasBase ? src : null,
+            opacity: this.paintingLayers[this.baseLayer]?.opacity ?? 1,
+            ...this.overlaySize,
+            region: this.#currentRegion(),
+            adjustments: this.imageAdjustments,
+            layers,
+            lines
+        }
+    }
+
+    /**
+     * Save data as a file through the browser
+     * @param {Blob|string} data - File contents
+     * @param {string} filename - Suggested file name
+     * @param {string} mimeType - Media type of string data
+     */
+    download(data, filename, mimeType) {
+        const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType })
+        const url = URL.createObjectURL(blob)
+        const link = document.createElement('a')
+        link.href = url
+        link.download = filename
+        document.body.appendChild(link)
+        link.click()
+        link.remove()
+        setTimeout(() => URL.revokeObjectURL(url), 0)
+    }
+
+    /**
+     * Turn line editing on or off. Edit mode is opt-in; it is kept in the
+     * `edit` URL parameter so a reload stays in it.
+     * @param {boolean} enabled - Whether the overlays can be edited
+     * @param {Object} [options]
+     * @param {boolean} [options.structural] - Whether lines can be drawn, split and merged,
+     *   or only moved and resized
+     */
+    setEditMode(enabled, { structural = this.structuralEdits } = {}) {
+        this.editing = Boolean(enabled)
+        this.updateUrlState({ edit: this.editing ? 'true' : null })
+        if (Boolean(structural) !== this.structuralEdits) {
+            // Undo must not bring back an edit the new mode does not allow
+            this.structuralEdits = Boolean(structural)
+            this.lineEditor?.clearHistory()
+        }
+        this.editing ? this.lineEditor?.enable() : this.lineEditor?.disable()
+        if (!this.structuralEdits) this.lineEditor?.setDrawing(false)
+        this.#updateEditControls()
+    }
+
+    /**
+     * Forget the undo history, e.g. after the lines were changed elsewhere
+     */
+    clearEditHistory() {
+        this.lineEditor?.clearHistory()
+        this.#updateEditControls()
+    }
+
+    #updateEditControls() {
+        const controls = this.toolbar?.querySelector('.editControls')
+        if (!controls) return
+
+        controls.hidden = !this.editing
+        controls.querySelector('.editDraw').setAttribute('aria-pressed', String(Boolean(this.lineEditor?.drawing)))
+        controls.querySelectorAll('.editDraw, .editSplit, .editMerge').forEach(button => {
+            button.disabled = !this.structuralEdits
+        })
+        controls.querySelector('.editUndo').disabled = !this.lineEditor?.canUndo
+        controls.querySelector('.editRedo').disabled = !this.lineEditor?.canRedo
+    }
+
+    /**
+     * Index of the selected line
+     * @returns {number|null} Annotation index, or null when no line is selected
+     */
+    #selectedIndex() {
+        const box = this.stage?.querySelector('.overlayBox.clicked')
+        return box ? Number(box.dataset.lineid) : null
+    }
+
+    /**
+     * Render previous/next canvas controls when the manifest has more than
+     * one canvas, and refresh the thumbnail strip if it is open.
+     * Navigation requests go through `onNavigateCanvas(index)`.
+     * @param {Array<Object>} canvases - Canvases of the current manifest
+     * @param {number} index - Index of the displayed canvas
+     */
+    renderCanvasNavigation(canvases, index) {
+        this.canvasList = canvases
+        this.canvasIndex = index
+
+        if (!this.toolbar || canvases.length < 2) {
+            this.#updateCanvasStrip()
+            return
+        }
+
+        const nav = document.createElement('div')
+        nav.className = 'canvasNav'
+
+        const previous = this.#createToolButton('‹', 'Previous canvas ([)')
+        previous.disabled = index <= 0
+        previous.addEventListener('click', () => this.onNavigateCanvas?.(index - 1))
+
+        const position = document.createElement('span')
+        position.className = 'canvasPosition'
+        position.textContent = `${index + 1} / ${canvases.length}`
+        position.title = this.dataService.getLabel(canvases[index], `Canvas ${index + 1}`)
+
+        const next = this.#createToolButton('›', 'Next canvas (])')
+        next.disabled = index >= canvases.length - 1
+        next.addEventListener('click', () => this.onNavigateCanvas?.(index + 1))
+
+        const stripToggle = this.#createToolButton('Pages', 'Toggle page thumbnails')
+        stripToggle.setAttribute('aria-pressed', String(this.showCanvasStrip))
+        stripToggle.addEventListener('click', () => {
+            this.showCanvasStrip = !this.showCanvasStrip
+            stripToggle.setAttribute('aria-pressed', String(this.showCanvasStrip))
+            this.#updateCanvasStrip()
+        })
+
+        nav.append(previous, position, next, stripToggle)
+        this.toolbar.prepend(nav)
+        this.#updateCanvasStrip()
+    }
+
+    /**
+     * Build, refresh or remove the thumbnail strip below the viewer. The
+     * strip lives outside the image container so it survives canvas loads
+     * and is only rebuilt when the canvas list itself changes.
+     */
+    #updateCanvasStrip() {
+        if (!this.showCanvasStrip || this.canvasList.length < 2) {
+            this.canvasStrip?.remove()
+            this.canvasStrip = null
+            return
+        }
+
+        if (!this.canvasStrip || this.#stripCanvases !== this.canvasList) {
+            this.canvasStrip?.remove()
+            this.canvasStrip = document.createElement('nav')
+            this.canvasStrip.className = 'canvasStrip'
+            this.canvasStrip.setAttribute('aria-label', 'Canvases')
+            this.#stripCanvases = this.canvasList
+
+            this.canvasList.forEach((canvas, index) => {
+                const label = this.dataService.getLabel(canvas, `Canvas ${index + 1}`)
+                const item = document.createElement('button')
+                item.type = 'button'
+                item.className = 'canvasThumb'
+                item.title = label
+                item.dataset.index = index
+
+                const src = this.dataService.getCanvasThumbnail(canvas)
+                if (src) {
+                    const img = document.createElement('img')
+                    img.src = src
+                    img.alt = ''
+                    img.loading = 'lazy'
+                    item.appendChild(img)
+                }
+
+                const caption = document.createElement('span')
+                caption.textContent = label
+                item.appendChild(caption)
+
+                item.addEventListener('click', () => this.onNavigateCanvas?.(index))
+                this.canvasStrip.appendChild(item)
+            })
+
+            this.container.after(this.canvasStrip)
+        }
+
+        this.canvasStrip.querySelectorAll('.canvasThumb').forEach(item => {
+            const active = Number(item.dataset.index) === this.canvasIndex
+            item.toggleAttribute('aria-current', active)
+            if (active) {
+                // Scroll the strip only, never the embedding page
+                this.canvasStrip.scrollLeft = item.offsetLeft - (this.canvasStrip.clientWidth - item.offsetWidth) / 2
+            }
+        })
+    }
+
+    /**
+     * Render the line search box: a query field, match options, hit count
+     * and previous/next hit buttons. Queries go through `onSearch(query, options)`.
+     * A new box starts a new search.
+     */
+    renderSearchBox() {
+        this.#search = { query: '', options: { caseSensitive: false, diacriticSensitive: false } }
+        if (!this.toolbar) return
+
+        const form = document.createElement('form')
+        form.className = 'lineSearch'
+        form.setAttribute('role', 'search')
+
+        const input = document.createElement('input')
+        input.type = 'search'
+        input.placeholder = 'Find in lines'
+        input.setAttribute('aria-label', 'Find text in lines')
+
+        const caseOption = this.#createSearchOption('Aa', 'Match case')
+        const diacriticOption = this.#createSearchOption('é', 'Match diacritics')
+
+        const count = document.createElement('span')
+        count.className = 'searchCount'
+        count.setAttribute('aria-live', 'polite')
+
+        const previous = this.#createToolButton('↑', 'Previous match')
+        const next = this.#createToolButton('↓', 'Next match')
+        previous.addEventListener('click', () => this.stepSearchHit(-1))
+        next.addEventListener('click', () => this.stepSearchHit(1))
+
+        let timer = null
+        const runSearch = () => {
+            clearTimeout(timer)
+            this.#search = {
+                query: input.value,
+                options: {
+                    caseSensitive: caseOption.querySelector('input').checked,
+                    diacriticSensitive: diacriticOption.querySelector('input').checked
+                }
+            }
+            const { query, options } = this.searchSettings
+            this.onSearch?.(query, options)
+        }
+        input.addEventListener('input', () => {
+            clearTimeout(timer)
+            timer = setTimeout(runSearch, 250)
+        })
+        caseOption.addEventListener('change', runSearch)
+        diacriticOption.addEventListener('change', runSearch)
+        form.addEventListener('submit', (event) => {
+            event.preventDefault()
+            this.stepSearchHit(1)
+        })
+
+        form.append(input, caseOption, diacriticOption, count, previous, next)
+        this.toolbar.appendChild(form)
+    }
+
+    /**
+     * The active search, typed in the search box or sent by the parent
+     * @returns {Object} {query, options: {caseSensitive, diacriticSensitive}}
+     */
+    get searchSettings() {
+        return { query: this.#search.query, options: { ...this.#search.options } }
+    }
+
+    /**
+     * Make a search the active one and show it in the search box
+     * @param {string} query - Text looked for
+     * @param {Object} [options] - `caseSensitive` and `diacriticSensitive` flags
+     */
+    setSearchSettings(query, { caseSensitive = false, diacriticSensitive = false } = {}) {
+        this.#search = { query: String(query ?? ''), options: { caseSensitive: Boolean(caseSensitive), diacriticSensitive: Boolean(diacriticSensitive) } }
+
+        const form = this.toolbar?.querySelector('.lineSearch')
+        if (!form) return
+        form.querySelector('input[type="search"]').value = this.#search.query
+        const [caseOption, diacriticOption] = form.querySelectorAll('.searchOption input')
+        caseOption.checked = this.#search.options.caseSensitive
+        diacriticOption.checked = this.#search.options.diacriticSensitive
+    }
+
+    /**
+     * Create a labeled checkbox for a search option
+     * @param {string} label - Short visible label
+     * @param {string} description - Accessible name and tooltip
+     * @returns {HTMLLabelElement} Label wrapping the checkbox
+     */
+    #createSearchOption(label, description) {
+        const option = document.createElement('label')
+        option.className = 'searchOption'
+        option.title = description
+
+        const checkbox = document.createElement('input')
+        checkbox.type = 'checkbox'
+        checkbox.setAttribute('aria-label', description)
+
+        option.append(checkbox, label)
+        return option
+    }
+
+    /**
+     * Mark the overlays and transcription rows of search hits and move to
+     * the first hit.
+     * @param {Array<Object>} hits - Hits {index} from the line search
+     * @param {Object} [options]
+     * @param {boolean} [options.step] - Move to the first hit; false keeps the current selection
+     */
+    showSearchHits(hits, { step = true } = {}) {
+        this.searchHits = hits
+        this.searchPosition = -1
+
+        const hitIndexes = new Set(hits.map(hit => String(hit.index)))
+        this.stage?.querySelectorAll('.overlayBox').forEach(box => {
+            box.classList.toggle('searchHit', hitIndexes.has(box.dataset.lineid))
+            box.classList.remove('searchHitCurrent')
+        })
+        this.transcriptionPanel?.querySelectorAll('.transcriptionRow').forEach(row => {
+            row.classList.toggle('searchHit', hitIndexes.has(row.dataset.lineid))
+        })
+
+        if (hits.length && step) this.stepSearchHit(1)
+        else this.#updateSearchCount()
     }
 
     /**
-     * Display error message to user
-     * @param {string} message - Error message to display
+     * Select the next or previous search hit, wrapping around. The hit is
+     * selected as a click would select it, so the parent and the URL follow.
+     * @param {number} direction - 1 for the next hit, -1 for the previous one
      */
-    showError(message) {
-        this.container.innerHTML = `
-            <div class="error-message" role="alert">
-                <strong>Error:</strong> ${message}
-            </div>
-        `
-        this.container.style.backgroundImage = "none"
+    stepSearchHit(direction) {
+        if (!this.searchHits.length) return
+
+        const total = this.searchHits.length
+        this.searchPosition = (this.searchPosition + direction + total) % total
+        const { index } = this.searchHits[this.searchPosition]
+
+        this.stage?.querySelectorAll('.overlayBox.searchHitCurrent').forEach(box => box.classList.remove('searchHitCurrent'))
+        const target = this.#resolveAnnotationTarget(index)
+        target?.classList.add('searchHitCurrent')
+        if (target) this.selectAnnotation(target, this.currentAnnotations[index]?.lineid, index)
+        this.#updateSearchCount()
+    }
+
+    #updateSearchCount() {
+        const count = this.toolbar?.querySelector('.searchCount')
+        if (!count) return
+
+        const query = this.#search.query.trim()
+        if (!query) {
+            count.textContent = ''
+        } else if (!this.searchHits.length) {
+            count.textContent = 'No matches'
+        } else if (this.searchPosition < 0) {
+            count.textContent = `${this.searchHits.length} matches`
+        } else {
+            count.textContent = `${this.searchPosition + 1} / ${this.searchHits.length}`
+        }
     }
 
     /**
-     * Display loading state
-     * @param {string} message - Loading message
+     * Render a layer picker listing each annotation page found on the
+     * canvas, with a checkbox toggling that page's overlays. A picker
+     * already in the toolbar is replaced.
+     * @param {Array<Object>} layers - Layers {id, pageId, label} from the data service
+     * @param {Object} [options]
+     * @param {boolean} [options.keepHidden] - Keep hidden the layers that still exist, when the
+     *   layers of the same canvas changed
      */
-    showLoading(message = "Loading canvas data...") {
-        this.container.innerHTML = `
-            <div class="loading" role="status" aria-live="polite">
-                ${message}
-            </div>
-        `
+    renderLayerPicker(layers = [], { keepHidden = false } = {}) {
+        this.annotationLayers = layers
+        this.hiddenLayers = new Set(keepHidden ? layers.map(layer => layer.id).filter(id => this.hiddenLayers.has(id)) : [])
+        const previous = this.toolbar?.querySelector('.layerPicker')
+        if (!this.toolbar || layers.length < 2) {
+            previous?.remove()
+            return
+        }
+
+        const picker = document.createElement('div')
+        picker.className = 'layerPicker'
+
+        const toggle = this.#createToolButton('Layers', 'Show or hide annotation layers')
+        toggle.setAttribute('aria-expanded', 'false')
+
+        const panel = document.createElement('fieldset')
+        panel.className = 'layerPanel'
+        panel.id = 'layerPanel'
+        panel.hidden = true
+        toggle.setAttribute('aria-controls', panel.id)
+
+        const legend = document.createElement('legend')
+        legend.textContent = 'Annotation layers'
+        panel.appendChild(legend)
+
+        layers.forEach(layer => {
+            const label = document.createElement('label')
+            const checkbox = document.createElement('input')
+            checkbox.type = 'checkbox'
+            checkbox.checked = !this.hiddenLayers.has(layer.id)
+            checkbox.addEventListener('change', () => {
+                checkbox.checked ? this.hiddenLayers.delete(layer.id) : this.hiddenLayers.add(layer.id)
+                this.#applyLayerVisibility()
+            })
+            label.append(checkbox, ` ${layer.label}`)
+            panel.appendChild(label)
+        })
+
+        toggle.addEventListener('click', () => {
+            panel.hidden = !panel.hidden
+            toggle.setAttribute('aria-expanded', String(!panel.hidden))
+        })
+
+        picker.append(toggle, panel)
+        previous ? previous.replaceWith(picker) : this.toolbar.appendChild(picker)
     }
 
     /**
-     * Render the magnifier tool
+     * Hide the overlays of layers switched off in the layer picker
      */
-    renderMagnifier() {
-        this.container.innerHTML = ''
+    #applyLayerVisibility() {
+        this.stage?.querySelectorAll('.overlayBox[data-layer]').forEach(box => {
+            box.classList.toggle('layerHidden', this.hiddenLayers.has(box.dataset.layer))
+        })
+    }
 
-        const magnifierButton = document.createElement('button')
-        magnifierButton.className = 'magnifier'
-        magnifierButton.type = 'button'
-        magnifierButton.textContent = 'Inspect 🔍'
-        
-        this.container.appendChild(magnifierButton)
+    /**
+     * Render a picker for the images painted on the canvas: a choice list
+     * for layers with several options (such as multispectral captures) and
+     * an opacity slider per layer for comparing them.
+     * @param {Array<Object>} layers - Painting layers {label, choices, choice} from the data service
+     */
+    renderImageLayerPicker(layers = []) {
+        this.#paintingControls = new Map()
+        if (!this.toolbar || (layers.length < 2 && !layers.some(layer => layer.choices.length > 1))) return
 
-        magnifierButton.addEventListener('click', () => {
-            if (!this.magnifierTool) {
-                this.magnifierTool = new MagnifierTool()
-                this.magnifierTool.boundsOffset = 100
-                this.magnifierTool.render()
-                this.magnifierTool.addEventListeners()
-                document.body.appendChild(this.magnifierTool)
+        const picker = document.createElement('div')
+        picker.className = 'imageLayerPicker'
+
+        const toggle = this.#createToolButton('Images', 'Choose images and their opacity')
+        toggle.setAttribute('aria-expanded', 'false')
+
+        const panel = document.createElement('fieldset')
+        panel.className = 'imageLayerPanel'
+        panel.id = 'imageLayerPanel'
+        panel.hidden = true
+        toggle.setAttribute('aria-controls', panel.id)
+
+        const legend = document.createElement('legend')
+        legend.textContent = 'Images'
+        panel.appendChild(legend)
+
+        layers.forEach((layer, index) => {
+            const row = document.createElement('div')
+            row.className = 'imageLayer'
+
+            const name = document.createElement('span')
+            name.className = 'imageLayerName'
+            name.textContent = layer.label
+            row.appendChild(name)
+
+            let select = null
+            if (layer.choices.length > 1) {
+                select = document.createElement('select')
+                select.setAttribute('aria-label', `${layer.label} image`)
+                layer.choices.forEach((option, choice) => select.add(new Option(option.label, String(choice))))
+                select.value = String(layer.choice)
+                select.addEventListener('change', () => this.setPaintingLayer(index, { choice: Number(select.value) }))
+                row.appendChild(select)
             }
 
-            const img = this.container.querySelector('img')
-            if (img) this.magnifierTool.imageElem = img
+            const slider = document.createElement('input')
+            slider.type = 'range'
+            slider.min = '0'
+            slider.max = '100'
+            slider.step = '5'
+            slider.value = '100'
+            slider.addEventListener('input', () => this.setPaintingLayer(index, { opacity: Number(slider.value) / 100 }))
+            const opacity = document.createElement('label')
+            opacity.append('Opacity', slider)
+            row.appendChild(opacity)
 
-            showMagnifier(this.magnifierTool)
-            magnifierButton.style.display = 'none'
+            this.#paintingControls.set(index, { select, slider })
+            panel.appendChild(row)
+        })
 
-            document.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape' && this.magnifierTool?.isMagnifierVisible) {
-                    this.magnifierTool.hideMagnifier()
-                    magnifierButton.style.display = 'block'
-                }
-            })
+        toggle.addEventListener('click', () => {
+            panel.hidden = !panel.hidden
+            toggle.setAttribute('aria-expanded', String(!panel.hidden))
+        })
+
+        picker.append(toggle, panel)
+        this.toolbar.appendChild(picker)
+    }
+
+    /**
+     * Switch a painting layer to another of its choices, or change its opacity
+     * @param {number} index - Layer index in `paintingLayers`
+     * @param {Object} [options]
+     * @param {number|string} [options.choice] - Choice index, or the URL or label of a choice
+     * @param {number} [options.opacity] - Opacity from 0 to 1
+     * @throws {Error} When the layer, choice or opacity is not valid
+     */
+    setPaintingLayer(index, { choice, opacity } = {}) {
+        const layer = this.paintingLayers[index]
+        if (!layer) throw new Error(`No image layer ${index}`)
+
+        if (choice !== undefined) {
+            const chosen = typeof choice === 'number'
+                ? choice
+                : layer.choices.findIndex(option => option.url === choice || option.label === choice)
+            if (!layer.choices[chosen]) throw new Error(`No image choice ${choice} in layer ${index}`)
+            if (chosen !== layer.choice) {
+                layer.choice = chosen
+                this.#showPaintingChoice(index)
+            }
+        }
+
+        if (opacity !== undefined) {
+            if (!Number.isFinite(Number(opacity))) throw new Error(`Invalid opacity ${opacity}`)
+            layer.opacity = Math.min(1, Math.max(0, Number(opacity)))
+            index === this.baseLayer
+                ? this.stage?.style.setProperty('--baseOpacity', String(layer.opacity))
+                : this.#paintingImage(index)?.style.setProperty('opacity', String(layer.opacity))
+        }
+
+        const controls = this.#paintingControls.get(index)
+        if (controls?.select) controls.select.value = String(layer.choice)
+        if (controls) controls.slider.value = String(Math.round(layer.opacity * 100))
+    }
+
+    /**
+     * Add an image for each painting layer other than the base image,
+     * placed over the region of the canvas it targets. The images sit on
+     * the canvas surface under the overlays, so they turn, crop and zoom
+     * with the base image and the lines stay aligned.
+     */
+    #renderPaintingLayers() {
+        const { width = 0, height = 0 } = this.imageSize ?? {}
+        const percent = (value, total) => `${total ? (value / total) * 100 : 0}%`
+
+        this.paintingLayers.forEach((layer, index) => {
+            if (index === this.baseLayer) return
+            const img = document.createElement('img')
+            img.className = 'paintingLayer'
+            img.alt = ''
+            img.draggable = false
+            img.dataset.paintingLayer = String(index)
+            if (layer.region) {
+                Object.assign(img.style, {
+                    left: percent(layer.region.x, width),
+                    top: percent(layer.region.y, height),
+                    width: percent(layer.region.w, width),
+                    height: percent(layer.region.h, height)
+                })
+            }
+            this.surface.appendChild(img)
+            this.#showPaintingChoice(index)
         })
     }
 
     /**
-     * Render the main image
+     * Load the chosen image of a painting layer. A new base image also
+     * brings its image service, which the view and deep zoom switch to.
+     * @param {number} index - Layer index in `paintingLayers`
+     */
+    async #showPaintingChoice(index) {
+        const layer = this.paintingLayers[index]
+        const request = layer.request = (layer.request ?? 0) + 1
+        const { url, service } = layer.choices[layer.choice]
+        const { w, h } = layer.region ?? { w: this.imageSize?.width, h: this.imageSize?.height }
+
+        let resolved = { imgUrl: url, imageService: null }
+        try {
+            resolved = await this.dataService.processIIIFImageUrl(url, w, h, { service })
+        } catch (error) {
+            console.warn(`Could not resolve image ${url}:`, error)
+        }
+        // A later choice or another canvas took over while this one loaded
+        if (layer.request !== request || this.paintingLayers[index] !== layer) return
+
+        if (index === this.baseLayer) {
+            this.baseImageUrl = resolved.imgUrl
+            this.imageService = resolved.imageService
+            this.deepZoom?.setImageService(resolved.imageService)
+            this.#updateImageView()
+            return
+        }
+        layer.src = resolved.imgUrl
+        const img = this.#paintingImage(index)
+        if (img) img.src = resolved.imgUrl
+    }
+
+    #paintingImage(index) {
+        return this.surface?.querySelector(`.paintingLayer[data-painting-layer="${index}"]`) ?? null
+    }
+
+    /**
+     * Create a toolbar button
+     * @param {string} label - Visible button text
+     * @param {string} description - Accessible name and tooltip
+     * @returns {HTMLButtonElement} The created button
+     */
+    #createToolButton(label, description) {
+        const button = document.createElement('button')
+        button.type = 'button'
+        button.className = 'toolButton'
+        button.textContent = label
+        button.title = description
+        button.setAttribute('aria-label', description)
+        return button
+    }
+
+    /**
+     * Render the main image inside a stage that also holds the overlays.
+     * The stage is what pan/zoom transforms, so overlays stay aligned; the
+     * plane inside it is what rotation and mirroring transform.
      * @param {string} imgUrl - URL of the image to display
-     * @returns {Promise<HTMLImageElement>} Promise that resolves when image loads
+     * @param {Object|null} imageService - IIIF Image API info.json used for zoom tiles
+     * @param {Object} [options] - Canvas size {width, height}, the painting
+     *   `layers` of the canvas with the index of the `baseLayer` `imgUrl` shows,
+     *   and a `placeholder` image to show until an image without a service loads
+     * @returns {Promise<HTMLImageElement>} Promise that resolves when the first image, full or placeholder, loads
      */
-    renderImage(imgUrl) {
+    renderImage(imgUrl, imageService = null, { width, height, layers = [], baseLayer = -1, placeholder = null } = {}) {
         return new Promise((resolve, reject) => {
+            const viewport = document.createElement('div')
+            viewport.className = 'canvasViewport'
+
+            this.stage = document.createElement('div')
+            this.stage.className = 'canvasStage'
+
+            this.plane = document.createElement('div')
+            this.plane.className = 'canvasPlane'
+
+            this.surface = document.createElement('div')
+            this.surface.className = 'canvasSurface'
+
             const img = document.createElement('img')
             img.id = 'canvasImage'
-            img.src = imgUrl
             img.alt = 'IIIF Canvas Image'
-            this.container.appendChild(img)
+            img.draggable = false
+            img.onload = () => {
+                // Without a canvas size the image's own proportions are used
+                if (!this.imageSize) {
+                    this.imageSize = { width: img.naturalWidth, height: img.naturalHeight }
+                    this.#updateImageView()
+                } else if (this.fitMode === 'actual' && !this.imageService) {
+                    // The actual size of an image without a service is known once it loads
+                    this.#updateImageView()
+                }
+                resolve(img)
+            }
+            img.onerror = () => {
+                // A placeholder that fails is replaced by the full image when it arrives
+                if (!this.#pendingImage) reject(new Error("Failed to load image"))
+            }
+
+            this.surface.appendChild(img)
+            this.plane.appendChild(this.surface)
+            this.stage.appendChild(this.plane)
+            viewport.appendChild(this.stage)
+            this.container.appendChild(viewport)
+            this.viewport = viewport
+
+            this.baseImageUrl = imgUrl
+            this.imageService = imageService
+            this.placeholderUrl = placeholder
+            this.#pendingImage = null
+            this.imageSize = width && height ? { width, height } : null
+            this.shownSize = null
+            this.#imageRequest = null
+            this.paintingLayers = layers.map(layer => ({ ...layer, opacity: 1 }))
+            this.baseLayer = baseLayer
+            this.#renderPaintingLayers()
 
-            img.onload = () => resolve(img)
-            img.onerror = () => reject(new Error("Failed to load image"))
+            // Only a change of width is followed here; the window's height comes with `resize`
+            this.#resizeObserver?.disconnect()
+            this.#observedWidth = 0
+            this.#resizeObserver = new ResizeObserver(([entry]) => {
+                if (entry.contentRect.width === this.#observedWidth) return
+                this.#observedWidth = entry.contentRect.width
+                this.#scheduleLayout()
+            })
+            this.#resizeObserver.observe(this.container)
+
+            this.deepZoom?.disable()
+            this.deepZoom = new DeepZoom(viewport, this.stage, this.dataService)
+            this.deepZoom.setImageService(imageService)
+
+            this.lineEditor?.disable()
+            this.lineEditor = new LineEditor(this)
+            this.lineEditor.onChange = (operation, before, after) => {
+                this.#updateEditControls()
+                this.onEdit?.(operation, before, after)
+            }
+            this.lineEditor.onToolChange = () => this.#updateEditControls()
+            if (this.editing) this.lineEditor.enable()
+            this.#updateEditControls()
+
+            this.#updateImageView()
         })
     }
 
@@ -105,34 +1543,287 @@ export class UIManager {
      */
     renderAnnotations(annotations, imgWidth, imgHeight) {
         this.currentAnnotations = annotations
+        this.overlaySize = { width: imgWidth, height: imgHeight }
+        this.searchHits = []
+        this.searchPosition = -1
         
         annotations.forEach((anno, index) => {
-            if (!anno.target) return
+            const box = this.#createOverlay(anno, index)
+            if (box) this.surface.appendChild(box)
+        })
+        this.#updateLineOrder()
+
+        this.#loadDataStyles(annotations)
+
+        this.liveRegion = document.createElement('div')
+        this.liveRegion.className = 'sr-only'
+        this.liveRegion.setAttribute('role', 'status')
+        this.liveRegion.setAttribute('aria-live', 'polite')
+        this.container.appendChild(this.liveRegion)
+
+        this.renderTranscriptionPanel()
+    }
+
+    /**
+     * Build the overlay for one annotation, positioned in percentages of
+     * the canvas so it scales with the image.
+     * @param {Object} anno - Annotation data
+     * @param {number} index - Annotation index
+     * @returns {HTMLElement|null} Overlay box, or null for an annotation without a target
+     */
+    #createOverlay(anno, index) {
+        if (!anno.target) return null
+
+        const { width: imgWidth, height: imgHeight } = this.overlaySize
+        const shape = this.dataService.parseSelector(anno.target, imgWidth, imgHeight)
+            ?? { type: "rect", ...this.dataService.parseXYWH(anno.target, imgWidth, imgHeight) }
+        const { x, y, w, h } = shape
+        
+        // Calculate percentages for responsive positioning
+        const left = (x / imgWidth) * 100
+        const top = (y / imgHeight) * 100
+        const width = (w / imgWidth) * 100
+        const height = (h / imgHeight) * 100
+
+        return this.createAnnotationBox(anno, index, left, top, width, height, shape)
+    }
+
+    /**
+     * Swap in a changed list of annotations without reloading the image.
+     * Overlays and the transcription panel are rebuilt and the selected line
+     * stays selected while it is still present. Search hits are cleared;
+     * see `searchSettings` to run the search again.
+     * @param {Array<Object>} annotations - Normalized annotations
+     */
+    replaceAnnotations(annotations) {
+        if (!this.surface) return
+
+        const selected = this.stage.querySelector('.overlayBox.clicked')
+        const selectedId = selected ? this.currentAnnotations[Number(selected.dataset.lineid)]?.lineid : undefined
+        const hadFocus = Boolean(selected) && document.activeElement === selected
+
+        this.stage.querySelectorAll('.overlayBox').forEach(box => box.remove())
+        this.liveRegion?.remove()
+        this.renderAnnotations(annotations, this.overlaySize.width, this.overlaySize.height)
+        this.#applyLayerVisibility()
+
+        const index = selectedId === undefined ? -1 : annotations.findIndex(anno => anno.lineid === selectedId)
+        const target = index === -1 ? null : this.#resolveAnnotationTarget(index)
+        if (target) {
+            this.#setActiveAnnotation(target)
+            if (hadFocus) target.focus({ preventScroll: true })
+        } else if (this.region === 'annotation') {
+            this.#updateImageView()
+        }
+        this.#updateSearchCount()
+    }
+
+    /**
+     * Replace one annotation and its overlay in place. The overlay keeps
+     * its selection, focus, search and layer state.
+     * @param {number} index - Index of the annotation
+     * @param {Object} annotation - Normalized annotation; fields it lacks (e.g. `layer`) are kept
+     * @returns {boolean} True when the annotation exists
+     */
+    updateAnnotation(index, annotation) {
+        if (!this.surface || !this.currentAnnotations[index]) return false
+
+        const anno = { ...this.currentAnnotations[index], ...annotation }
+        this.currentAnnotations[index] = anno
+
+        const previous = this.#resolveAnnotationTarget(index)
+        const box = this.#createOverlay(anno, index)
+        if (box && previous) {
+            ['clicked', 'searchHit', 'searchHitCurrent', 'layerHidden'].forEach(name => {
+                box.classList.toggle(name, previous.classList.contains(name))
+            })
+            box.tabIndex = previous.tabIndex
+            if (previous.hasAttribute('aria-selected')) box.setAttribute('aria-selected', previous.getAttribute('aria-selected'))
+            const hadFocus = document.activeElement === previous
+            previous.replaceWith(box)
+            if (hadFocus) box.focus({ preventScroll: true })
+        } else if (box) {
+            this.surface.appendChild(box)
+            this.#applyLayerVisibility()
+        } else {
+            previous?.remove()
+        }
+
+        this.#dataStyles.delete(index)
+        if (box) this.#paintAnnotationStyle(box)
+        this.#resolveDataStyle(anno, index, this.currentAnnotations)
+
+        // A moved line may now be read elsewhere
+        const previousOrder = this.lineOrder.join()
+        this.#updateLineOrder()
+        const row = this.transcriptionPanel?.querySelector(`.transcriptionRow[data-lineid="${index}"]`)
+        if (this.lineOrder.join() !== previousOrder) {
+            this.renderTranscriptionPanel()
+        } else if (row) {
+            row.textContent = anno.text || 'No text available'
+        }
+
+        if (this.region === 'annotation' && box?.classList.contains('clicked')) this.#updateImageView()
+        return true
+    }
+
+    /**
+     * Choose the order lines are read in by keyboard navigation, the
+     * transcription panel, the first line selected and exports. Named
+     * orders are kept in the `readingOrder` URL parameter; unknown names
+     * fall back to `source`, the order of the AnnotationPage.
+     * @param {string|Array<string>|null} order - A name from `READING_ORDERS`, or line ids in reading order
+     */
+    setReadingOrder(order) {
+        const explicit = Array.isArray(order)
+        this.readingOrderMode = explicit || READING_ORDERS.includes(order) ? order : READING_ORDERS[0]
+        this.updateUrlState({ readingOrder: explicit || this.readingOrderMode === READING_ORDERS[0] ? null : this.readingOrderMode })
+        if (!this.stage) return
+        this.#updateLineOrder()
+        this.renderTranscriptionPanel()
+    }
+
+    /**
+     * The current annotations in reading order
+     * @returns {Array<Object>} Normalized annotations
+     */
+    orderedAnnotations() {
+        return this.lineOrder.map(index => this.currentAnnotations[index])
+    }
+
+    /**
+     * Sort the lines again and, while none is selected, make the first
+     * line in reading order the overlays' single tab stop
+     */
+    #updateLineOrder() {
+        const { width, height } = this.overlaySize ?? {}
+        this.lineOrder = this.readingOrder.sort(this.currentAnnotations, { width, height }, this.readingOrderMode)
+        if (this.stage?.querySelector('.overlayBox.clicked')) return
+
+        // One tab stop for all overlays; arrow keys move between them
+        const [first, ...rest] = this.#orderedBoxes()
+        rest.forEach(box => { box.tabIndex = -1 })
+        if (first) first.tabIndex = 0
+    }
+
+    /**
+     * Switch how every overlay is drawn. The mode is kept in the
+     * `overlayStyle` URL parameter; unknown modes fall back to `outline`.
+     * @param {string} style - `outline`, `tint`, `underline` or `hover` (shown only on hover, focus or selection)
+     */
+    setOverlayStyle(style) {
+        this.overlayStyle = OVERLAY_STYLES.includes(style) ? style : OVERLAY_STYLES[0]
+        this.container.dataset.overlayStyle = this.overlayStyle
+        this.updateUrlState({ overlayStyle: this.overlayStyle === OVERLAY_STYLES[0] ? null : this.overlayStyle })
+    }
+
+    /**
+     * Color overlays from the parent, e.g. by review status. A rule matches
+     * one line by `annotation` id, or every line with a `tag` or
+     * `motivation`; later rules win. Rules outlast canvas changes.
+     * @param {Array<Object>} rules - Rules {annotation|tag|motivation, color, fill, opacity}
+     * @param {Object} [options]
+     * @param {boolean} [options.replace] - Drop the rules set before
+     */
+    styleAnnotations(rules = [], { replace = false } = {}) {
+        const cleaned = rules.filter(rule => rule && typeof rule === 'object').map(rule => ({
+            annotation: rule.annotation ?? null,
+            tag: rule.tag ?? null,
+            motivation: rule.motivation ?? null,
+            color: this.annotationStyles.sanitize('color', rule.color),
+            fill: this.annotationStyles.sanitize('fill', rule.fill),
+            opacity: this.annotationStyles.sanitize('opacity', rule.opacity)
+        }))
+        this.annotationStyleRules = replace ? cleaned : [...this.annotationStyleRules, ...cleaned]
+        this.stage?.querySelectorAll('.overlayBox').forEach(box => this.#paintAnnotationStyle(box))
+    }
+
+    /**
+     * Read the styles the annotations ask for themselves and paint the
+     * overlays once they are known. Stylesheets given by URL arrive later.
+     * @param {Array<Object>} annotations - Annotations being rendered
+     */
+    #loadDataStyles(annotations) {
+        this.#dataStyles = new Map()
+        this.stage?.querySelectorAll('.overlayBox').forEach(box => this.#paintAnnotationStyle(box))
 
-            const { x, y, w, h } = this.dataService.parseXYWH(anno.target)
-            
-            // Calculate percentages for responsive positioning
-            const left = (x / imgWidth) * 100
-            const top = (y / imgHeight) * 100
-            const width = (w / imgWidth) * 100
-            const height = (h / imgHeight) * 100
+        annotations.forEach((anno, index) => this.#resolveDataStyle(anno, index, annotations))
+    }
+
+    /**
+     * Resolve one annotation's own style and paint its overlay, unless the
+     * annotations were replaced in the meantime.
+     * @param {Object} anno - Annotation data
+     * @param {number} index - Annotation index
+     * @param {Array<Object>} annotations - The list the annotation belongs to
+     */
+    async #resolveDataStyle(anno, index, annotations) {
+        const style = await this.annotationStyles.resolve(anno)
+        if (!style || this.currentAnnotations !== annotations || this.currentAnnotations[index] !== anno) return
+        this.#dataStyles.set(index, style)
+        const box = this.#resolveAnnotationTarget(index)
+        if (box) this.#paintAnnotationStyle(box)
+    }
+
+    /**
+     * Apply the annotation's own style and the parent's matching rules to
+     * its overlay, as custom properties the overlay styles read.
+     * @param {HTMLElement} box - Overlay box
+     */
+    #paintAnnotationStyle(box) {
+        const index = Number(box.dataset.lineid)
+        const anno = this.currentAnnotations[index]
+        const lineid = String(anno?.lineid ?? index)
 
-            const box = this.createAnnotationBox(anno, index, left, top, width, height)
-            this.container.appendChild(box)
+        const matching = this.annotationStyleRules.filter(rule =>
+            (rule.annotation !== null && (String(rule.annotation) === lineid ||
+                String(rule.annotation).split('/').pop() === box.dataset.lineserverid)) ||
+            (rule.tag !== null && anno?.tags?.includes(rule.tag)) ||
+            (rule.motivation !== null && anno?.motivation?.includes(rule.motivation)))
+
+        const style = { ...this.#dataStyles.get(index) }
+        matching.forEach(rule => {
+            ['color', 'fill', 'opacity'].forEach(setting => {
+                if (rule[setting] !== null) style[setting] = rule[setting]
+            })
         })
+
+        const apply = (property, value) => value ? box.style.setProperty(property, value) : box.style.removeProperty(property)
+        apply('--overlayColor', style.color)
+        apply('--overlayFill', style.fill)
+        apply('opacity', style.opacity)
+    }
+
+    /**
+     * Tell the user how many lines could not be loaded
+     * @param {number} missing - Number of lines that failed to load
+     * @param {number} total - Number of lines listed on the page
+     */
+    showMissingLines(missing, total) {
+        this.container.querySelector('.missingLines')?.remove()
+        if (!missing) return
+
+        const notice = document.createElement('div')
+        notice.className = 'missingLines'
+        notice.setAttribute('role', 'status')
+        notice.textContent = `${missing} of ${total} lines could not be loaded`
+        this.container.appendChild(notice)
     }
 
     /**
-     * Create an individual annotation overlay box
+     * Create an individual annotation overlay box. Non-rectangular shapes
+     * are drawn as SVG inside a box sized to their bounds, so they share the
+     * box's click, tooltip and accessibility behavior.
      * @param {Object} anno - Annotation data
      * @param {number} index - Annotation index
      * @param {number} left - Left position percentage
      * @param {number} top - Top position percentage
      * @param {number} width - Width percentage
      * @param {number} height - Height percentage
+     * @param {Object} [shape] - Parsed selector shape from `parseSelector`
      * @returns {HTMLElement} The created overlay box element
      */
-    createAnnotationBox(anno, index, left, top, width, height) {
+    createAnnotationBox(anno, index, left, top, width, height, shape = null) {
         const box = document.createElement("div")
         box.className = "overlayBox"
         box.style.left = `${left}%`
@@ -140,20 +1831,56 @@ export class UIManager {
         box.style.width = `${width}%`
         box.style.height = `${height}%`
         box.title = anno.text || "Annotation"
-        box.dataset.lineserverid = anno.lineid.split('/').pop()
+        box.dataset.lineserverid = String(anno.lineid ?? index).split('/').pop()
         box.dataset.lineid = index
+        if (anno.layer !== null && anno.layer !== undefined) box.dataset.layer = anno.layer
+        if (anno.motivation?.length) box.dataset.motivation = anno.motivation.join(' ')
+        if (anno.tags?.length) box.dataset.tags = anno.tags.join(' ')
         
         // Add accessibility attributes
         box.setAttribute('role', 'button')
-        box.setAttribute('tabindex', '0')
+        box.setAttribute('tabindex', '-1')
         box.setAttribute('aria-label', `Annotation ${index + 1}: ${anno.text || 'No text available'}`)
 
+        if (shape && shape.type !== "rect") {
+            box.classList.add('overlayShape')
+            box.appendChild(this.#createShapeGraphic(shape))
+        }
+
         // Add event listeners
         this.attachAnnotationEvents(box, anno, index)
 
         return box
     }
 
+    /**
+     * Build the SVG drawing for a polygon or path selector. The viewBox is
+     * the shape's bounds in canvas pixels, so the original coordinates are
+     * used unchanged and stretch with the surrounding box.
+     * @param {Object} shape - Parsed polygon or path shape
+     * @returns {SVGSVGElement} The SVG element
+     */
+    #createShapeGraphic(shape) {
+        const svgNS = 'http://www.w3.org/2000/svg'
+        const svg = document.createElementNS(svgNS, 'svg')
+        svg.setAttribute('class', 'overlayShapeGraphic')
+        svg.setAttribute('viewBox', `${shape.x} ${shape.y} ${Math.max(shape.w, 1)} ${Math.max(shape.h, 1)}`)
+        svg.setAttribute('preserveAspectRatio', 'none')
+        svg.setAttribute('aria-hidden', 'true')
+
+        const outline = shape.type === 'path'
+            ? document.createElementNS(svgNS, 'path')
+            : document.createElementNS(svgNS, 'polygon')
+        if (shape.type === 'path') {
+            outline.setAttribute('d', shape.d)
+        } else {
+            outline.setAttribute('points', shape.points.map(point => point.join(',')).join(' '))
+        }
+
+        svg.appendChild(outline)
+        return svg
+    }
+
     /**
      * Attach event listeners to annotation box
      * @param {HTMLElement} box - The annotation box element
@@ -178,15 +1905,76 @@ export class UIManager {
 
         box.addEventListener("click", clickHandler)
         
+        // Keyboard focus shows the same tooltip as hovering
+        box.addEventListener("focus", () => {
+            this.showTooltip(box, anno.text)
+        })
+        box.addEventListener("blur", () => {
+            this.hideTooltip(box)
+        })
+
         // Keyboard support
         box.addEventListener("keydown", (event) => {
             if (event.key === "Enter" || event.key === " ") {
                 event.preventDefault()
                 clickHandler()
+                return
             }
+            if (event.altKey || event.ctrlKey || event.metaKey) return
+
+            const step = {
+                ArrowDown: 1, ArrowRight: 1, j: 1,
+                ArrowUp: -1, ArrowLeft: -1, k: -1,
+                Home: -Infinity, End: Infinity
+            }[event.key]
+            if (step === undefined) return
+
+            event.preventDefault()
+            this.#moveSelection(box, step)
         })
     }
 
+    /**
+     * Overlays in reading order, leaving out hidden layers
+     * @returns {Array<HTMLElement>} Overlay boxes
+     */
+    #orderedBoxes() {
+        if (!this.stage) return []
+        const ranks = new Map(this.lineOrder.map((index, rank) => [index, rank]))
+        const rank = (box) => ranks.get(Number(box.dataset.lineid)) ?? Number(box.dataset.lineid)
+        return [...this.stage.querySelectorAll('.overlayBox:not(.layerHidden)')]
+            .sort((a, b) => rank(a) - rank(b))
+    }
+
+    /**
+     * Select a line relative to the focused one and move focus to it.
+     * Selection goes through `selectAnnotation`, so the parent is notified.
+     * @param {HTMLElement} box - Overlay that has focus
+     * @param {number} step - Lines to move; ±Infinity for the first/last line
+     */
+    #moveSelection(box, step) {
+        const boxes = this.#orderedBoxes()
+        if (!boxes.length) return
+
+        const current = boxes.indexOf(box)
+        const target = boxes[Math.min(boxes.length - 1, Math.max(0, current + step))]
+        const index = Number(target.dataset.lineid)
+
+        this.selectAnnotation(target, this.currentAnnotations[index]?.lineid, index)
+        target.focus({ preventScroll: true })
+    }
+
+    /**
+     * Read the selected line to screen reader users
+     * @param {number} index - Annotation index
+     */
+    #announceSelection(index) {
+        if (!this.liveRegion) return
+        const anno = this.currentAnnotations[index]
+        const position = this.lineOrder.indexOf(index)
+        this.liveRegion.textContent = `Line ${(position === -1 ? index : position) + 1} of ${this.currentAnnotations.length}: ${anno?.text || 'No text available'}`
+    }
+
     /**
      * Show tooltip for annotation
      * @param {HTMLElement} box - The annotation box
@@ -219,45 +2007,133 @@ export class UIManager {
      */
     selectAnnotation(box, lineid, index) {
         if (!this.#setActiveAnnotation(box, true)) return
+        this.#announceSelection(index)
 
-        const urlParams = new URLSearchParams(window.location.search)
-        let canvas = urlParams.get('canvas')
-        let manifest = urlParams.get('manifest')
-        let annotationPage = urlParams.get('annotationPage')
-
-        if(typeof canvas === "object" && this.dataService.isValidJSON(canvas)) {
-            canvas = canvas.id
-        }
-
-        if(manifest && (typeof manifest === "object" && this.dataService.isValidJSON(manifest))) {
-            manifest = manifest.id
-        }
-
-        if(annotationPage && (typeof annotationPage === "object" && this.dataService.isValidJSON(annotationPage))) {
-            annotationPage = annotationPage.id
-        }
-
-        history.replaceState(null, '', `?${manifest ? `manifest=${manifest}&` : ''}canvas=${canvas}${annotationPage ? `&annotationPage=${annotationPage}` : ''}${lineid ? `&annotation=${lineid}` : ''}`)
+        this.updateUrlState({ annotation: lineid })
 
-        
         // Notify parent window
-        window.parent?.postMessage({
-            type: "NAVIGATE_TO_LINE",
-            lineId: lineid
-        }, "*")
+        this.onSelectAnnotation?.(lineid, index)
     }
 
     /**
      * Highlight an annotation overlay by line reference or index.
      * Accepts full line URI, short line id, or numeric index.
      * @param {string|number} lineRef - Line identifier or annotation index
+     * @param {Object} [options]
+     * @param {boolean} [options.scroll] - Scroll the overlay into view
      * @returns {boolean} True if an overlay was highlighted
      */
-    highlightAnnotation(lineRef) {
+    highlightAnnotation(lineRef, { scroll = true } = {}) {
         if (lineRef === undefined || lineRef === null) return false
 
         const target = this.#resolveAnnotationTarget(lineRef)
-        return this.#setActiveAnnotation(target, true)
+        return this.#setActiveAnnotation(target, scroll)
+    }
+
+    /**
+     * Merge values into the page URL's query string without adding a
+     * history entry. Empty values remove their parameter; parameters not
+     * named in `updates` are kept.
+     * @param {Object} updates - Parameter names mapped to values
+     */
+    updateUrlState(updates) {
+        const params = new URLSearchParams(window.location.search)
+        Object.entries(updates).forEach(([key, value]) => {
+            if (value === null || value === undefined || value === '') {
+                params.delete(key)
+            } else {
+                params.set(key, value)
+            }
+        })
+        history.replaceState(history.state, '', `${window.location.pathname}?${params}${window.location.hash}`)
+    }
+
+    /**
+     * Show or hide the transcription panel. The choice is kept in the
+     * `transcription` URL parameter.
+     * @param {boolean} visible - Whether the panel is shown
+     */
+    setTranscriptionPanel(visible) {
+        this.showTranscription = Boolean(visible)
+        this.updateUrlState({ transcription: this.showTranscription ? 'true' : null })
+        this.renderTranscriptionPanel()
+    }
+
+    /**
+     * Render the transcription panel listing every loaded line in reading
+     * order, or remove it when the panel is off. Clicking a row selects
+     * its overlay; selecting an overlay marks and reveals its row.
+     */
+    renderTranscriptionPanel() {
+        this.transcriptionPanel?.remove()
+        this.transcriptionPanel = null
+        this.container.parentElement?.classList.toggle('withTranscription', this.showTranscription)
+        if (!this.showTranscription) return
+
+        const panel = document.createElement('aside')
+        panel.className = 'transcriptionPanel'
+        panel.setAttribute('aria-label', 'Transcription')
+
+        const heading = document.createElement('h2')
+        heading.textContent = 'Transcription'
+        panel.appendChild(heading)
+
+        if (this.currentAnnotations.length === 0) {
+            const empty = document.createElement('p')
+            empty.className = 'transcriptionEmpty'
+            empty.textContent = 'No lines on this canvas'
+            panel.appendChild(empty)
+        }
+
+        const list = document.createElement('ol')
+        this.lineOrder.forEach(index => {
+            const anno = this.currentAnnotations[index]
+            const item = document.createElement('li')
+            const row = document.createElement('button')
+            row.type = 'button'
+            row.className = 'transcriptionRow'
+            row.dataset.lineid = index
+            row.textContent = anno.text || 'No text available'
+
+            row.addEventListener('click', () => {
+                if (!this.highlightAnnotation(index)) return
+                this.updateUrlState({ annotation: anno.lineid })
+                this.onSelectAnnotation?.(anno.lineid, index)
+            })
+
+            item.appendChild(row)
+            list.appendChild(item)
+        })
+        panel.appendChild(list)
+
+        this.transcriptionPanel = panel
+        this.container.after(panel)
+
+        const selected = this.stage?.querySelector('.overlayBox.clicked')
+        if (selected) this.#syncTranscriptionRow(selected.dataset.lineid)
+    }
+
+    /**
+     * Mark the panel row of the selected line and scroll it into view
+     * within the panel only, never the embedding page.
+     * @param {string} lineIndex - `data-lineid` of the selected overlay
+     */
+    #syncTranscriptionRow(lineIndex) {
+        if (!this.transcriptionPanel) return
+
+        let current = null
+        this.transcriptionPanel.querySelectorAll('.transcriptionRow').forEach(row => {
+            const active = row.dataset.lineid === lineIndex
+            row.toggleAttribute('aria-current', active)
+            if (active) current = row
+        })
+        if (!current) return
+
+        const panel = this.transcriptionPanel
+        const top = current.offsetTop
+        if (top < panel.scrollTop || top + current.offsetHeight > panel.scrollTop + panel.clientHeight) {
+            panel.scrollTo({ top: top - (panel.clientHeight - current.offsetHeight) / 2, behavior: 'smooth' })
+        }
     }
 
     /**
@@ -272,7 +2148,7 @@ export class UIManager {
 
         if (typeof lineRef === 'string') {
             const shortId = lineRef.split('/').pop()
-            return document.querySelector(`.overlayBox[data-lineserverid="${shortId}"]`)
+            return document.querySelector(`.overlayBox[data-lineserverid="${CSS.escape(shortId)}"]`)
         }
 
         return null
@@ -289,24 +2165,64 @@ export class UIManager {
             el.classList.remove('clicked')
             el.setAttribute('aria-selected', 'false')
         })
+        this.lineEditor?.select(target)
 
         if (!target) return false
 
         target.classList.add('clicked')
         target.setAttribute('aria-selected', 'true')
+        this.#syncTranscriptionRow(target.dataset.lineid)
+        if (this.region === 'annotation') this.#updateImageView()
 
-        if (scrollToTarget) {
-            target.scrollIntoView({ behavior: 'smooth', block: 'center' })
+        // The selected line is the single tab stop among the overlays
+        this.stage?.querySelectorAll('.overlayBox[tabindex="0"]').forEach(el => { el.tabIndex = -1 })
+        target.tabIndex = 0
+
+        if (scrollToTarget && this.deepZoom?.enabled) {
+            this.deepZoom.centerOn(target)
+        } else if (scrollToTarget) {
+            this.#scrollToOverlay(target)
         }
 
         return true
     }
 
+    /**
+     * Center an overlay in the viewport by scrolling the viewport only,
+     * never the embedding page
+     * @param {HTMLElement} box - Overlay box
+     */
+    #scrollToOverlay(box) {
+        if (!this.viewport) return
+        const frame = this.viewport.getBoundingClientRect()
+        const rect = box.getBoundingClientRect()
+        this.viewport.scrollTo({
+            left: this.viewport.scrollLeft + rect.left + rect.width / 2 - frame.left - this.viewport.clientWidth / 2,
+            top: this.viewport.scrollTop + rect.top + rect.height / 2 - frame.top - this.viewport.clientHeight / 2,
+            behavior: 'smooth'
+        })
+    }
+
     /**
      * Clear all content and reset container
      */
     clear() {
-        this.container.innerHTML = ""
+        this.#resizeObserver?.disconnect()
+        this.#resizeObserver = null
+        this.deepZoom?.disable()
+        this.deepZoom = null
+        this.lineEditor?.disable()
+        this.lineEditor = null
+        this.stage = null
+        this.plane = null
+        this.surface = null
+        this.toolbar = null
+        this.viewport = null
+        this.lineOrder = []
+        this.paintingLayers = []
+        this.baseLayer = -1
+        this.annotationLayers = []
+        this.container.replaceChildren()
         this.currentAnnotations = []
     }
 }
@@ -13,15 +13,448 @@
 import { IIIFDataService } from './iiif-data-service.js'
 import { UIManager } from './ui-manager.js'
 import { MessageHandler } from './message-handler.js'
+import { LineSearch } from './line-search.js'
+import { BundleAdapter, createAdapter } from './adapters.js'
+import { AuthRequiredError } from './iiif-auth.js'
+import { ImageAdjustments } from './image-adjustments.js'
+import { LineEditor } from './line-editor.js'
+import { PageExporter, EXPORT_FORMATS } from './page-export.js'
+import { LocalFiles } from './local-files.js'
 
 /**
  * Main PageViewer class that coordinates IIIF data loading and UI updates
  */
 class PageViewer {
-    constructor(containerId = 'imageContainer') {
-        this.dataService = new IIIFDataService()
-        this.uiManager = new UIManager(containerId)
-        this.messageHandler = new MessageHandler(this)
+    #loadController = null
+    #fetchHook = undefined
+    #idToken = null
+    #fragmentRegion = null
+
+    /**
+     * @param {string} containerId - Id of the element the viewer renders into
+     * @param {Object} [options]
+     * @param {IIIFAdapter} [options.adapter] - Data source adapter; plain IIIF by default
+     * @param {Function} [options.fetch] - Fetch hook for authenticated requests with the default adapter
+     * @param {Array<string>} [options.allowedOrigins] - Origins allowed to message the viewer
+     * @param {Object} [options.cache] - Resource cache options {maxEntries, persistent}
+     * @param {boolean} [options.legacyLineEvents] - Also send RETURN_LINE_ID for embedders of the older protocol
+     * @param {Function} [options.getToken] - Returns the T-PEN id token for an `adapter=tpen` URL; by default
+     *   the `idToken` the parent last sent with TPEN_CONTEXT
+     */
+    constructor(containerId = 'imageContainer', { adapter, fetch, allowedOrigins, cache, legacyLineEvents = false, getToken } = {}) {
+        this.dataService = new IIIFDataService({ adapter, fetch, cache })
+        this.#fetchHook = fetch
+        this.getToken = getToken ?? (() => this.#idToken)
+        this.uiManager = new UIManager(containerId, this.dataService)
+        this.messageHandler = new MessageHandler(this, { allowedOrigins })
+        this.lineSearch = new LineSearch(this.dataService)
+        this.exporter = new PageExporter(this.dataService)
+        this.localFiles = new LocalFiles()
+        this.manifestData = null
+        this.canvases = []
+        this.canvasIndex = -1
+        this.canvasId = null
+        this.editSave = "message"
+        this.legacyLineEvents = legacyLineEvents
+
+        this.uiManager.onNavigateCanvas = (index) => this.showCanvas(index)
+        this.uiManager.onSelectAnnotation = (lineid, index) => this.#announceLineSelection(lineid, index)
+        this.uiManager.onSearch = (query, options) => this.search(query, options)
+        this.uiManager.onEdit = (operation, before, after) => this.#publishEdit(operation, before, after)
+        this.uiManager.onExport = (format) => this.#downloadExport(format)
+        this.uiManager.onOpenFiles = (files) => this.openFiles(files)
+        this.uiManager.enableFileDrop()
+        document.addEventListener('keydown', (event) => this.#handleCanvasShortcut(event))
+    }
+
+    /**
+     * Step to another canvas of the loaded manifest. The manifest already in
+     * memory is reused, and the parent window is told about the change.
+     * @param {number} index - Index of the canvas in the manifest
+     */
+    async showCanvas(index) {
+        if (index < 0 || index >= this.canvases.length || index === this.canvasIndex) return
+
+        const canvas = this.canvases[index]
+        // A fixed region belongs to the canvas it was given for; following the selected line carries over
+        if (this.uiManager.region !== 'annotation') this.uiManager.setRegion(null)
+        await this.loadPage(canvas, this.manifestData)
+        if (this.canvasIndex !== index) return
+
+        this.messageHandler.post("CANVAS_CHANGED", {
+            canvasId: canvas.id ?? canvas["@id"],
+            canvasIndex: index,
+            manifestId: this.manifestData?.id ?? this.manifestData?.["@id"]
+        })
+    }
+
+    /**
+     * Forget cached manifests, canvases, annotation pages, image information
+     * and annotations, so the next load fetches them again. The parent is
+     * answered with CACHE_CLEARED.
+     * @param {string|number|null} [requestId] - Id of the CLEAR_CACHE message being answered
+     */
+    async clearCache(requestId = null) {
+        try {
+            await this.dataService.clearCache()
+            this.messageHandler.post("CACHE_CLEARED", {}, requestId)
+        } catch (error) {
+            this.messageHandler.post("ERROR", { message: error.message, requestType: "CLEAR_CACHE" }, requestId)
+        }
+    }
+
+    /**
+     * Search the lines of the current canvas and highlight the hits. When
+     * the manifest declares a IIIF Content Search service it is queried too,
+     * for hits on every canvas. The results are posted to the parent as
+     * SEARCH_RESULTS.
+     * @param {string} query - Text to look for
+     * @param {Object} [options] - `caseSensitive` and `diacriticSensitive` flags
+     * @param {string|number|null} [requestId] - Id of the SEARCH message being answered
+     * @returns {Promise<Object>} {query, hits, serviceHits}
+     */
+    async search(query, options = {}, requestId = null) {
+        this.uiManager.setSearchSettings(query, options)
+        const hits = this.lineSearch.searchLines(this.uiManager.currentAnnotations, query, options)
+        this.uiManager.showSearchHits(hits)
+
+        let serviceHits = []
+        const serviceUrl = this.lineSearch.findSearchService(this.manifestData)
+        if (serviceUrl && query.trim()) {
+            try {
+                serviceHits = await this.lineSearch.searchService(serviceUrl, query.trim())
+            } catch (error) {
+                console.warn("Content Search request failed:", error)
+            }
+        }
+
+        const results = { query, hits, serviceHits }
+        this.messageHandler.post("SEARCH_RESULTS", results, requestId)
+        return results
+    }
+
+    /**
+     * Redraw one line of the current canvas after it changed elsewhere,
+     * without reloading the image or losing the selection.
+     * @param {string|Object} annotation - The changed annotation, or its id to fetch it again
+     * @param {string|number|null} [requestId] - Id of the ANNOTATION_UPDATED message being answered
+     */
+    async updateAnnotation(annotation, requestId = null) {
+        await this.#changeAnnotations("updated", annotation, requestId, async (annotations) => {
+            const index = this.getAnnotationId(annotations, annotation)
+            if (index === null) throw new Error("Annotation is not on the current canvas")
+
+            const [changed] = await this.#loadLines([annotation])
+            this.uiManager.updateAnnotation(index, changed)
+            return changed.lineid
+        })
+    }
+
+    /**
+     * Add a line to the current canvas
+     * @param {string|Object} annotation - The new annotation, or its id to fetch it
+     * @param {Object} [options]
+     * @param {number} [options.index] - Position among the lines; the end when omitted
+     * @param {string} [options.layer] - Annotation page the line belongs to
+     * @param {string|number|null} [requestId] - Id of the ANNOTATION_ADDED message being answered
+     */
+    async addAnnotation(annotation, { index, layer = null } = {}, requestId = null) {
+        await this.#changeAnnotations("added", annotation, requestId, async (annotations) => {
+            const [added] = await this.#loadLines([annotation])
+            if (this.getAnnotationId(annotations, added.lineid) !== null) {
+                throw new Error("Annotation is already on the current canvas")
+            }
+
+            const lines = [...annotations]
+            const position = Number.isInteger(index) ? Math.max(0, Math.min(index, lines.length)) : lines.length
+            lines.splice(position, 0, { ...added, layer: this.#layerOf(layer) })
+            this.uiManager.replaceAnnotations(lines)
+            return added.lineid
+        })
+    }
+
+    /**
+     * Remove a line from the current canvas
+     * @param {string|Object} annotation - The removed annotation or its id
+     * @param {string|number|null} [requestId] - Id of the ANNOTATION_REMOVED message being answered
+     */
+    async removeAnnotation(annotation, requestId = null) {
+        await this.#changeAnnotations("removed", annotation, requestId, async (annotations) => {
+            const index = this.getAnnotationId(annotations, annotation)
+            if (index === null) throw new Error("Annotation is not on the current canvas")
+
+            const { lineid } = annotations[index]
+            this.uiManager.replaceAnnotations(annotations.filter((anno, position) => position !== index))
+            return lineid
+        })
+    }
+
+    /**
+     * Replace every line of the current canvas, e.g. after the parent
+     * reloaded or re-segmented the page
+     * @param {Object} change - `annotations` (array of annotations or ids) or `annotationPage` (page or its id)
+     * @param {string|number|null} [requestId] - Id of the ANNOTATIONS_REPLACED message being answered
+     */
+    async replaceAnnotations({ annotations: items, annotationPage } = {}, requestId = null) {
+        const reference = items ?? annotationPage
+        await this.#changeAnnotations("replaced", reference, requestId, async () => {
+            const page = Array.isArray(items) ? null : await this.dataService.getSpecificTypeData(annotationPage)
+            const { annotations, failedAnnotations } = await this.dataService.loadAnnotations(
+                page ? this.dataService.getAnnotationItems(page) : items
+            )
+            // The lines of the canvas are now those of one page, or of none
+            const pageId = page?.id ?? page?.["@id"] ?? null
+            const layers = pageId ? [{ id: "0", pageId, label: this.dataService.getLabel(page, "Layer 1") }] : []
+            this.uiManager.renderLayerPicker(layers)
+            this.uiManager.replaceAnnotations(annotations.map(anno => ({ ...anno, layer: layers[0]?.id ?? null })))
+            this.uiManager.showMissingLines(failedAnnotations.length, annotations.length + failedAnnotations.length)
+            return pageId
+        })
+    }
+
+    /**
+     * The layer a line added by the parent belongs to. The parent names its
+     * annotation page, or a layer id from the picker; a page the canvas did
+     * not have yet becomes a new layer.
+     * @param {string|null} page - Annotation page id or layer id
+     * @returns {string|null} Layer id, as the layer picker knows it
+     */
+    #layerOf(page) {
+        if (page === null || page === undefined) return null
+
+        const layers = this.uiManager.annotationLayers
+        const known = layers.find(layer => layer.pageId === page || layer.id === String(page))
+        if (known) return known.id
+
+        const id = String(layers.length)
+        this.uiManager.renderLayerPicker([...layers, { id, pageId: page, label: `Layer ${layers.length + 1}` }], { keepHidden: true })
+        return id
+    }
+
+    /**
+     * Apply a change to the lines on screen and answer the parent with
+     * ANNOTATIONS_CHANGED, or with ERROR when the change cannot be made.
+     * Search hits are refreshed for the changed text.
+     * @param {string} change - `updated`, `added`, `removed` or `replaced`
+     * @param {*} reference - What the message named; the change fails without one
+     * @param {string|number|null} requestId - Id of the message being answered
+     * @param {Function} apply - Receives the current annotations, returns the affected annotation id
+     */
+    async #changeAnnotations(change, reference, requestId, apply) {
+        try {
+            if (!this.uiManager.surface) throw new Error("No canvas is loaded")
+            if (!reference) throw new Error("No annotation provided")
+
+            const annotationId = await apply(this.uiManager.currentAnnotations)
+            // Undoing an edit made before this change would revert the change too
+            this.uiManager.clearEditHistory()
+            this.#refreshSearchHits()
+
+            this.messageHandler.post("ANNOTATIONS_CHANGED", {
+                change,
+                annotationId,
+                annotationCount: this.uiManager.currentAnnotations.length
+            }, requestId)
+        } catch (error) {
+            console.warn(`Annotation ${change} message failed:`, error)
+            this.messageHandler.post("ERROR", { message: error.message }, requestId)
+        }
+    }
+
+    /**
+     * Show files from the user's computer. Manifests, canvases and
+     * annotation pages load as if they had been fetched; OCR files and
+     * images become local canvases. Annotation pages and OCR opened on
+     * their own are shown over the page on screen. Local pages are not
+     * written to the URL, since a reload could not find them again.
+     * @param {Array<File>} files - Files to open
+     */
+    async openFiles(files) {
+        let page
+        try {
+            page = await this.localFiles.read(files, {
+                canvasId: this.canvasId,
+                manifest: this.manifestData,
+                imageUrl: this.uiManager.baseImageUrl
+            })
+        } catch (error) {
+            console.warn("Could not open files:", error)
+            this.uiManager.showError(`Could not open files: ${error.message}`)
+            this.messageHandler.post("ERROR", { message: error.message })
+            return
+        }
+
+        // A region or line chosen for the previous page does not apply to these files
+        if (this.uiManager.region !== 'annotation') this.uiManager.setRegion(null)
+        await this.loadPage(page.canvas, page.manifest, page.annotationPage)
+        this.uiManager.updateUrlState({ manifest: null, canvas: null, annotationPage: null, annotation: null })
+    }
+
+    /**
+     * Export the current page. Images are Blobs, every other format is text.
+     * @param {string} format - `png`, `jpeg`, `annotations`, `text`, `alto` or `page`
+     * @param {Object} [options]
+     * @param {number} [options.quality] - JPEG quality between 0 and 1
+     * @returns {Promise<Object>} {format, mimeType, filename, data}
+     */
+    async exportPage(format, { quality } = {}) {
+        const { mimeType, extension } = EXPORT_FORMATS[format] ?? {}
+        if (!mimeType) throw new Error(`Unsupported export format ${format}`)
+
+        const view = this.uiManager.exportView()
+        if (!view) throw new Error("No canvas is loaded")
+
+        const annotations = this.uiManager.orderedAnnotations()
+        const page = { width: view.width, height: view.height, imageUrl: this.uiManager.baseImageUrl }
+        let data
+        switch (format) {
+            case "png":
+            case "jpeg":
+                data = await this.exporter.image(view, { type: mimeType, quality })
+                break
+            case "annotations":
+                data = JSON.stringify(this.exporter.annotationPage(annotations, this.canvasId), null, 2)
+                break
+            case "text":
+                data = this.exporter.text(annotations)
+                break
+            case "alto":
+                data = this.exporter.alto(annotations, page)
+                break
+            case "page":
+                data = this.exporter.pageXml(annotations, page)
+                break
+        }
+
+        const name = String(this.canvasId ?? "page").split(/[/#?]/).filter(Boolean).pop().replace(/[^\w.-]+/g, "_")
+        return { format, mimeType, filename: `${name}.${extension}`, data }
+    }
+
+    /**
+     * Export from the toolbar menu and save the file
+     * @param {string} format - Export format
+     */
+    async #downloadExport(format) {
+        this.uiManager.setExportStatus("Exporting…")
+        try {
+            const { data, filename, mimeType } = await this.exportPage(format)
+            this.uiManager.download(data, filename, mimeType)
+            this.uiManager.setExportStatus("")
+        } catch (error) {
+            console.warn("Export failed:", error)
+            this.uiManager.setExportStatus(error.message)
+        }
+    }
+
+    /**
+     * Mark the search hits again after the lines changed, keeping the selection
+     */
+    #refreshSearchHits() {
+        const { query, options } = this.uiManager.searchSettings
+        if (!query.trim()) return
+        this.uiManager.showSearchHits(this.lineSearch.searchLines(this.uiManager.currentAnnotations, query, options), { step: false })
+    }
+
+    /**
+     * Turn line editing on or off
+     * @param {boolean} enabled - Whether the overlays can be edited
+     * @param {Object} [options]
+     * @param {string} [options.save] - `put` to also PUT changed lines to their ids; edits are always posted.
+     *   Lines can only be moved and resized then, since new and removed lines have no id to PUT to.
+     */
+    setEditMode(enabled, { save = this.editSave } = {}) {
+        this.editSave = save === "put" ? "put" : "message"
+        this.uiManager.updateUrlState({ editSave: this.editSave === "put" ? "put" : null })
+        this.uiManager.setEditMode(enabled, { structural: this.editSave !== "put" })
+    }
+
+    /**
+     * Tell the parent about an edit made in the viewer with ANNOTATIONS_EDITED,
+     * listing each created, updated and deleted line as a W3C annotation.
+     * In `put` mode, where edits only update lines, they are also saved to
+     * their own ids: the annotation as it was loaded, with only its region
+     * changed. A failed save is reported with ERROR.
+     * @param {string} operation - `move`, `resize`, `draw`, `split`, `merge`, `undo` or `redo`
+     * @param {Array<Object>} before - Annotations before the edit
+     * @param {Array<Object>} after - Annotations after the edit
+     */
+    async #publishEdit(operation, before, after) {
+        this.#refreshSearchHits()
+
+        const changes = LineEditor.diff(before, after).map(({ action, annotation }) => ({
+            action,
+            annotation: this.dataService.serializeAnnotation(annotation, this.canvasId)
+        }))
+        this.messageHandler.post("ANNOTATIONS_EDITED", {
+            operation,
+            canvasId: this.canvasId,
+            changes,
+            annotationCount: after.length
+        })
+
+        if (this.editSave !== "put") return
+        const updates = LineEditor.diff(before, after)
+            .filter(({ action, annotation }) => action === "update" && this.dataService.isAllowedUrl(annotation.lineid))
+        await Promise.all(updates.map(async ({ annotation: line }) => {
+            const annotation = line.original && line.target.includes("xywh=")
+                ? this.dataService.retargetAnnotation(line.original, line.target, this.canvasId)
+                : this.dataService.serializeAnnotation(line, this.canvasId)
+            const presentation2 = !("target" in annotation) && "on" in annotation
+            try {
+                const response = await this.dataService.fetchResource(line.lineid, {
+                    method: "PUT",
+                    headers: {
+                        "Content-Type": presentation2
+                            ? "application/ld+json"
+                            : 'application/ld+json; profile="http://www.w3.org/ns/anno.jsonld"'
+                    },
+                    body: JSON.stringify(annotation)
+                })
+                if (!response.ok) throw new Error(`Saving failed with status ${response.status}`)
+            } catch (error) {
+                console.warn(`Failed to save annotation ${line.lineid}:`, error)
+                this.messageHandler.post("ERROR", { message: error.message, annotationId: line.lineid })
+            }
+        }))
+    }
+
+    /**
+     * Load and normalize annotations given by value or id
+     * @param {Array<string|Object>} references - Annotations or their ids
+     * @returns {Promise<Array<Object>>} Normalized annotations
+     * @throws {Error} When an annotation cannot be loaded
+     */
+    async #loadLines(references) {
+        const { annotations, failedAnnotations } = await this.dataService.loadAnnotations(references)
+        if (failedAnnotations.length) throw new Error(`Failed to load annotation ${failedAnnotations[0].id}`)
+        return annotations
+    }
+
+    /**
+     * Tell the parent window which line the user selected. With
+     * `legacyLineEvents` the selection goes out as RETURN_LINE_ID, the
+     * message of the older protocol, instead of NAVIGATE_TO_LINE.
+     * @param {string} lineid - Line IRI
+     * @param {number} index - Line index on the canvas
+     */
+    #announceLineSelection(lineid, index) {
+        if (this.legacyLineEvents) {
+            this.messageHandler.post("RETURN_LINE_ID", { lineid, lineIndex: index })
+            return
+        }
+        this.messageHandler.post("NAVIGATE_TO_LINE", { lineId: lineid, lineIndex: index })
+    }
+
+    /**
+     * Keyboard shortcuts for canvas navigation: `[` previous, `]` next
+     * @param {KeyboardEvent} event - The keydown event
+     */
+    #handleCanvasShortcut(event) {
+        if (event.altKey || event.ctrlKey || event.metaKey) return
+        if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return
+
+        if (event.key === '[') this.showCanvas(this.canvasIndex - 1)
+        if (event.key === ']') this.showCanvas(this.canvasIndex + 1)
     }
 
     /**
@@ -39,7 +472,7 @@ class PageViewer {
         }
 
         if (typeof annotation === "object" && this.dataService.isValidJSON(annotation)) {
-            const annotationId = annotations.findIndex(anno => anno.lineid === annotation.id)
+            const annotationId = annotations.findIndex(anno => anno.lineid === (annotation.id ?? annotation["@id"]))
             return annotationId !== -1 ? annotationId : null
         }
 
@@ -47,75 +480,195 @@ class PageViewer {
     }
 
     /**
-     * Load and display a IIIF page
-     * @param {string} pageId - ID of the IIIF page to load
+     * Load and display a IIIF page. The parent window is told the outcome
+     * with a LOADED or ERROR message, answering `requestId` when given.
+     * Starting another load aborts this one: its requests are cancelled,
+     * nothing more of it is drawn, and it is answered with an ERROR marked
+     * `aborted`.
+     * @param {string|Object} canvas - Canvas URL or object, or a manifest URL
+     * @param {string|Object} manifest - Manifest URL or object (optional)
+     * @param {string|Object} annotationPage - Annotation Page URL or object (optional)
+     * @param {string|Object} annotation - Annotation to select (optional)
+     * @param {Object} [options]
+     * @param {string|number|null} [options.requestId] - Id of the message that asked for this load
      */
-    async loadPage(canvas, manifest = null, annotationPage = null, annotation = null) {
+    async loadPage(canvas, manifest = null, annotationPage = null, annotation = null, { requestId = null } = {}) {
         if (!canvas) {
             console.warn("No canvas provided")
             this.uiManager.showError("No canvas provided")
+            this.messageHandler.post("ERROR", { message: "No canvas provided" }, requestId)
             return
         }
 
+        const target = canvas
+        const reload = () => this.loadPage(target, manifest, annotationPage, annotation, { requestId })
+
+        // A canvas URI may name a region of the canvas with a media fragment.
+        // That region belongs to the target that named it, so a later target
+        // without one shows its whole canvas again.
+        if (typeof canvas === "string" && canvas.includes("#xywh=")) {
+            const [canvasId, fragment] = canvas.split("#")
+            canvas = canvasId
+            this.#fragmentRegion = fragment
+            this.uiManager.setRegion(fragment)
+        } else if (this.#fragmentRegion !== null) {
+            if (this.uiManager.region === this.#fragmentRegion) this.uiManager.setRegion(null)
+            this.#fragmentRegion = null
+        }
+
+        this.#loadController?.abort()
+        const { signal } = this.#loadController = new AbortController()
+
         try {
             this.uiManager.showLoading("Loading canvas data...")
 
-            const canvasData = await this.dataService.fetchPageViewerData(canvas, manifest, annotationPage)
+            const canvasData = await this.dataService.fetchPageViewerData(canvas, manifest, annotationPage, { signal })
+            signal.throwIfAborted()
             if (!canvasData) {
                 throw new Error("No canvas data received")
             }
 
-            const { imgUrl, annotations, imgWidth, imgHeight } = canvasData
+            const { imgUrl, annotations, imgWidth, imgHeight, imageService, placeholder = null, canvases = [], canvasIndex = -1, manifestData = null, failedAnnotations = [], annotationLayers = [], paintingLayers = [], baseLayer = -1 } = canvasData
+            this.canvases = canvases
+            this.canvasIndex = canvasIndex
+            this.manifestData = manifestData
 
             this.uiManager.renderMagnifier()
+            this.uiManager.renderImageControls(imageService)
+            this.uiManager.renderZoomControls()
+            this.uiManager.renderEditControls()
+            this.uiManager.renderCanvasNavigation(canvases, canvasIndex)
+            this.uiManager.renderLayerPicker(annotationLayers)
+            this.uiManager.renderImageLayerPicker(paintingLayers)
+            this.uiManager.renderSearchBox()
+            this.uiManager.renderExportMenu()
+            this.uiManager.renderFileImport()
+
+            // Load the image first; a placeholder is enough to place the lines on
+            await this.uiManager.renderImage(imgUrl, imageService, { width: imgWidth, height: imgHeight, layers: paintingLayers, baseLayer, placeholder })
+            signal.throwIfAborted()
 
-            // Load the image first
-            await this.uiManager.renderImage(imgUrl)
-            
             // Then render annotations
             this.uiManager.renderAnnotations(annotations, imgWidth, imgHeight)
+            this.uiManager.showMissingLines(failedAnnotations.length, annotations.length + failedAnnotations.length)
+
+            // Prefer the canvas the data service resolved, e.g. from a manifest fragment
+            canvas = canvasData.canvasId ?? canvas
+            manifest ??= manifestData
 
             if(typeof canvas === "object" && this.dataService.isValidJSON(canvas)) {
-                canvas = canvas.id
+                canvas = canvas.id ?? canvas["@id"]
             }
 
             if(manifest && (typeof manifest === "object" && this.dataService.isValidJSON(manifest))) {
-                manifest = manifest.id
+                manifest = manifest.id ?? manifest["@id"]
             }
 
             if(annotationPage && (typeof annotationPage === "object" && this.dataService.isValidJSON(annotationPage))) {
-                annotationPage = annotationPage.id
+                annotationPage = annotationPage.id ?? annotationPage["@id"]
             }
+            this.canvasId = canvas
 
             let annotationId = this.getAnnotationId(annotations, annotation)
 
             if (annotationId !== null) {
-                document.querySelector(`.overlayBox[data-lineid="${annotationId}"]`)?.classList.add('clicked')
-                document.querySelector(`.overlayBox[data-lineid="${annotationId}"]`)?.setAttribute('aria-selected', 'true')
-                history.replaceState(null, '', `?${manifest ? `manifest=${manifest}&` : ''}canvas=${canvas}${annotationPage ? `&annotationPage=${annotationPage}` : ''}${annotation ? `&annotation=${annotation}` : ''}`)
-                return
+                this.uiManager.highlightAnnotation(annotationId, { scroll: false })
+                this.uiManager.updateUrlState({ manifest, canvas, annotationPage, annotation: annotations[annotationId].lineid })
+            } else if (annotations.length === 0) {
+                this.uiManager.updateUrlState({ manifest, canvas, annotationPage, annotation: null })
+            } else {
+                // Start at the first line in reading order
+                const [first] = this.uiManager.orderedAnnotations()
+                this.uiManager.highlightAnnotation(annotations.indexOf(first), { scroll: false })
+                this.uiManager.updateUrlState({ manifest, canvas, annotationPage, annotation: annotation ? first.lineid : null })
             }
 
-            if (annotations.length === 0) {
-                history.replaceState(null, '', `?${manifest ? `manifest=${manifest}&` : ''}canvas=${canvas}`)
-                return
-            }
-
-            history.replaceState(null, '', `?${manifest ? `manifest=${manifest}&` : ''}canvas=${canvas}${annotationPage ? `&annotationPage=${annotationPage}` : ''}${annotation ? `&annotation=${annotations[0].lineid}` : ''}`)
-            document.querySelector(`.overlayBox[data-lineid="0"]`).classList.add('clicked')
-            document.querySelector(`.overlayBox[data-lineid="0"]`).setAttribute('aria-selected', 'true')
-            return
+            this.messageHandler.post("LOADED", {
+                canvasId: canvas,
+                manifestId: manifest,
+                annotationPageId: annotationPage,
+                canvasIndex,
+                annotationCount: annotations.length,
+                failedAnnotations: failedAnnotations.map(failure => failure.id),
+                imageLayers: paintingLayers.map(layer => ({ label: layer.label, choices: layer.choices.map(option => option.label) }))
+            }, requestId)
 
         } catch (error) {
+            if (signal.aborted) {
+                // Only a load the parent asked for is owed an answer
+                if (requestId !== null) this.messageHandler.post("ERROR", { message: "Superseded by a newer load", aborted: true }, requestId)
+                return
+            }
+            if (error instanceof AuthRequiredError) {
+                this.#requireLogin(error.service, reload)
+                this.messageHandler.post("ERROR", { message: error.message, authRequired: true, resourceId: error.resourceId }, requestId)
+                return
+            }
             console.error("Error loading page:", error)
             this.uiManager.showError(`Failed to load page: ${error.message}`)
+            this.messageHandler.post("ERROR", { message: error.message }, requestId)
+        }
+    }
+
+    /**
+     * Show the login prompt for a restricted resource and load again once a
+     * token has been granted. External services have no login page, so
+     * there is nothing for the user to click.
+     * @param {Object} service - Access service
+     * @param {Function} reload - Loads the page again
+     * @param {string} [failure] - Why the last attempt did not work
+     */
+    #requireLogin(service, reload, failure = null) {
+        const auth = this.dataService.auth
+        const onLogin = service.profile === "external" ? null : async () => {
+            try {
+                const token = await auth.login(service)
+                if (!token) throw new Error("Access was not granted")
+                reload()
+            } catch (error) {
+                this.#requireLogin(service, reload, error.message)
+            }
+        }
+        this.uiManager.showLoginRequired(service, onLogin, failure)
+    }
+
+    /**
+     * Keep the T-PEN id token sent by the parent for the `tpen` adapter
+     * @param {string|null} token - Id token, or null after logging out
+     */
+    setIdToken(token) {
+        this.#idToken = token ? String(token) : null
+    }
+
+    /**
+     * Choose the data source from URL parameters: `adapter=tpen` selects a
+     * built-in adapter, and `bundle=<url>` serves resources from a JSON
+     * bundle (with `offline=true`, nothing outside the bundle is fetched).
+     * The adapter keeps the constructor's fetch hook, and the T-PEN adapter
+     * asks `getToken` for the user's token on every request.
+     * @param {URLSearchParams} urlParams - Page URL parameters
+     */
+    async #configureDataSource(urlParams) {
+        const adapterName = urlParams.get('adapter')
+        if (adapterName) {
+            this.dataService.adapter = createAdapter(adapterName, { fetch: this.#fetchHook, getToken: () => this.getToken() })
+        }
+
+        const bundle = urlParams.get('bundle')
+        if (bundle) {
+            const bundleData = await this.dataService.getSpecificTypeData(new URL(bundle, window.location.href).href)
+            const networkAdapter = this.dataService.adapter
+            this.dataService.adapter = new BundleAdapter(bundleData, {
+                fetch: (url, init) => networkAdapter.fetch(url, init),
+                offline: urlParams.get('offline') === 'true'
+            })
         }
     }
 
     /**
      * Initialize the page viewer
      */
-    init() {
+    async init() {
         // Check if page URL is provided via URL parameters or other means
         const urlParams = new URLSearchParams(window.location.search)
         const canvas = urlParams.get('canvas')
@@ -123,8 +676,31 @@ class PageViewer {
         const annotationPage = urlParams.get('annotationPage')
         const annotation = urlParams.get('annotation')
 
+        if (urlParams.get('legacyLineEvents') === 'true') this.legacyLineEvents = true
+        if (urlParams.get('transcription') === 'true') {
+            this.uiManager.setTranscriptionPanel(true)
+        }
+        this.uiManager.setImageAdjustments(ImageAdjustments.fromUrlParams(urlParams))
+        this.uiManager.setRegion(urlParams.get('region'), { padding: Number(urlParams.get('regionPadding') ?? NaN) })
+        this.uiManager.setOverlayStyle(urlParams.get('overlayStyle'))
+        this.uiManager.setReadingOrder(urlParams.get('readingOrder'))
+        this.uiManager.setFitMode(urlParams.get('fit'))
+        this.setEditMode(urlParams.get('edit') === 'true', { save: urlParams.get('editSave') })
+
+        try {
+            await this.#configureDataSource(urlParams)
+        } catch (error) {
+            console.error("Error loading data bundle:", error)
+            this.uiManager.showError(`Failed to load data bundle: ${error.message}`)
+            this.messageHandler.post("ERROR", { message: error.message })
+            return
+        }
+
+        this.messageHandler.announceReady()
+
         if (!canvas) {
-            this.uiManager.showLoading("Waiting for Canvas from parent window...")
+            this.uiManager.showLoading("Waiting for Canvas from parent window, or drop files here...")
+            this.uiManager.renderFileImport(this.uiManager.container)
             return
         }
 